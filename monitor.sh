@@ -4,6 +4,10 @@
 # Usage: ./monitor.sh
 
 API_BASE="http://localhost:3000/api"
+# /livez and /readyz live at the server root, outside the API base path
+ROOT_URL="${API_BASE%/api}"
+# Key with the "admin" scope (read access is enough unless you use recover/clear-queue)
+API_KEY="${API_KEY:-}"
 LOGFILE="/tmp/wa-api-monitor.log"
 
 echo "WhatsApp API Gateway Monitor"
@@ -16,7 +20,7 @@ check_endpoint() {
     local description=$2
     
     echo -n "Checking $description... "
-    response=$(curl -s -o /dev/null -w "%{http_code}" "${API_BASE}${endpoint}")
+    response=$(curl -s -o /dev/null -w "%{http_code}" -H "X-API-Key: ${API_KEY}" "${API_BASE}${endpoint}")
     
     if [ "$response" = "200" ]; then
         echo "✓ OK"
@@ -35,22 +39,32 @@ get_health_details() {
     echo ""
 }
 
+# Function to get readiness (deep session health check)
+get_readiness() {
+    echo "Readiness:"
+    echo "=========="
+    curl -s "${ROOT_URL}/readyz" | jq '.' 2>/dev/null || curl -s "${ROOT_URL}/readyz"
+    echo ""
+}
+
 # Function to get queue status
 get_queue_status() {
     echo "Queue Status:"
     echo "============="
-    curl -s "${API_BASE}/queue-status" | jq '.' 2>/dev/null || curl -s "${API_BASE}/queue-status"
+    curl -s -H "X-API-Key: ${API_KEY}" "${API_BASE}/queue-status" | jq '.' 2>/dev/null || curl -s -H "X-API-Key: ${API_KEY}" "${API_BASE}/queue-status"
     echo ""
 }
 
 # Function to trigger recovery if needed
 recovery_if_needed() {
-    local health_response=$(curl -s "${API_BASE}/health")
-    local whatsapp_ready=$(echo "$health_response" | jq -r '.whatsapp_ready' 2>/dev/null)
+    local readiness=$(curl -s "${ROOT_URL}/readyz")
+    # Only the session checks matter here; a failing "shutdown" check means the server is stopping
+    local session_ok=$(echo "$readiness" | jq -r '[.checks[] | select(.name | startswith("session:")) | .ok] | all' 2>/dev/null)
     
-    if [ "$whatsapp_ready" = "false" ]; then
-        echo "WhatsApp not ready, triggering recovery..."
-        curl -s -X POST "${API_BASE}/recover-session" | jq '.' 2>/dev/null || curl -s -X POST "${API_BASE}/recover-session"
+    if [ "$session_ok" = "false" ]; then
+        local reason=$(echo "$readiness" | jq -r '[.checks[] | select(.ok == false) | .error] | join("; ")' 2>/dev/null)
+        echo "Session failed the deep health check ($reason), triggering recovery..."
+        curl -s -X POST -H "X-API-Key: ${API_KEY}" "${API_BASE}/recover-session" | jq '.' 2>/dev/null || curl -s -X POST -H "X-API-Key: ${API_KEY}" "${API_BASE}/recover-session"
         echo ""
     fi
 }
@@ -61,12 +75,19 @@ main() {
     
     # Basic endpoint checks
     check_endpoint "/health" "Health endpoint"
+    echo -n "Checking readiness... "
+    if [ "$(curl -s -o /dev/null -w "%{http_code}" "${ROOT_URL}/readyz")" = "200" ]; then
+        echo "✓ OK"
+    else
+        echo "✗ NOT READY"
+    fi
     check_endpoint "/queue-status" "Queue status endpoint"
     
     echo ""
     
     # Get detailed information
     get_health_details
+    get_readiness
     get_queue_status
     
     # Auto-recovery if needed
@@ -88,22 +109,23 @@ case "$1" in
         ;;
     "health")
         get_health_details
+        get_readiness
         ;;
     "queue")
         get_queue_status
         ;;
     "recover")
         echo "Triggering manual recovery..."
-        curl -s -X POST "${API_BASE}/recover-session" | jq '.' 2>/dev/null || curl -s -X POST "${API_BASE}/recover-session"
+        curl -s -X POST -H "X-API-Key: ${API_KEY}" "${API_BASE}/recover-session" | jq '.' 2>/dev/null || curl -s -X POST -H "X-API-Key: ${API_KEY}" "${API_BASE}/recover-session"
         ;;
     "clear-queue")
         echo "Clearing message queue..."
-        curl -s -X POST "${API_BASE}/clear-queue" | jq '.' 2>/dev/null || curl -s -X POST "${API_BASE}/clear-queue"
+        curl -s -X POST -H "X-API-Key: ${API_KEY}" "${API_BASE}/clear-queue" | jq '.' 2>/dev/null || curl -s -X POST -H "X-API-Key: ${API_KEY}" "${API_BASE}/clear-queue"
         ;;
     *)
         main
         echo ""
-        echo "Usage:"
+        echo "Usage: (set API_KEY to a key with the admin scope)"
         echo "  $0          - Run single check"
         echo "  $0 watch    - Continuous monitoring"
         echo "  $0 health   - Show health details only"
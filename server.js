@@ -2,10 +2,49 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const qrcode = require('qrcode-terminal');
-const { formatPhoneNumber, logger, sanitizeMessage, validateSendMessagePayload } = require('./utils/helpers');
+const multer = require('multer');
+const path = require('path');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
 require('dotenv').config();
+const {
+    parsePhoneNumber,
+    parseRecipient,
+    logger,
+    sanitizeMessage,
+    getMaxMessageLength,
+    validateSendMessagePayload,
+    validateSendMediaPayload,
+    validateBroadcastPayload,
+    validateMediaFile,
+    resolveMediaMimeType,
+    parseBase64Media,
+    getMaxMediaSize,
+    isTruthyFlag,
+    sleep,
+    parseSendAt,
+    ackStatusName,
+    RICH_MESSAGE_TYPES,
+    PRIORITIES,
+    getQueueTtlSeconds
+} = require('./utils/helpers');
+const { JobStore, JOB_STATES, jobPriority } = require('./utils/jobStore');
+const { CampaignStore, CAMPAIGN_STATES, FINISHED_CAMPAIGN_STATES } = require('./utils/campaignStore');
+const { MessageScheduler } = require('./utils/scheduler');
+const { TemplateStore, TemplateSyntaxError, renderTemplate, validateTemplatePayload } = require('./utils/templates');
+const { renderBlocks } = require('./utils/formatting');
+const { IdempotencyStore, IDEMPOTENCY_KEY_PATTERN, fingerprintRequest } = require('./utils/idempotencyStore');
+const { WebhookDispatcher } = require('./utils/webhooks');
+const { Inbox, normalizeInboundMessage } = require('./utils/inbox');
+const { MessageHistory } = require('./utils/messageHistory');
+const { MediaStore } = require('./utils/mediaStore');
+const { loadApiKeys, createApiKeyAuth, requireScope, redactApiKey } = require('./utils/auth');
+const { SessionManager } = require('./utils/sessionManager');
+const { resolveClientDriver } = require('./utils/clientDriver');
+const { FAULT_KINDS } = require('./utils/sandboxClient');
+const { loadPacingConfig } = require('./utils/pacing');
+const { loadRetryPolicy } = require('./utils/retryPolicy');
+const { GatewayMetrics } = require('./utils/metrics');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -13,748 +52,2794 @@ const port = process.env.PORT || 3000;
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
+// Apache "combined" format with the API key id in place of the remote user
+morgan.token('key-id', req => (req.apiKey ? req.apiKey.id : '-'));
+// Keys passed as ?api_key= (browser QR pairing) must not end up in access logs
+morgan.token('safe-url', req => redactApiKey(req.originalUrl || req.url));
+app.use(morgan(':remote-addr - :key-id [:date[clf]] ":method :safe-url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent"'));
+// Leave room for base64 media, which is about a third larger than the file itself
+app.use(express.json({ limit: Math.max(10 * 1024 * 1024, Math.ceil(getMaxMediaSize() * 4 / 3) + 64 * 1024) }));
 app.use(express.urlencoded({ extended: true }));
 
-// WhatsApp Client Configuration
-let client;
-let clientInitialized = false;
-let initializationAttempts = 0;
-const maxInitAttempts = 3;
-let sessionHealthCheck;
-let messageQueue = [];
-let processingQueue = false;
-let lastHealthCheck = null;
-let sessionRestartInProgress = false;
+// Persistent message queue
+const dataDir = process.env.DATA_DIR || './data';
+const mediaStore = new MediaStore({
+    dir: path.join(dataDir, 'media'),
+    allowedDir: process.env.MEDIA_LOCAL_DIR
+});
 
-// Session Health Check Function
-function checkSessionHealth() {
-    if (!client || !clientInitialized) {
-        return false;
+// Audit log of every sent and received message, searchable via GET /messages
+const messageHistory = new MessageHistory({
+    filePath: path.join(dataDir, 'message-history.jsonl'),
+    retentionMs: (parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 90) * 24 * 60 * 60 * 1000,
+    bodyMode: process.env.HISTORY_STORE_BODY
+});
+messageHistory.load();
+
+const queueRetentionMs = (parseInt(process.env.QUEUE_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000;
+const jobStore = new JobStore({
+    filePath: path.join(dataDir, 'queue.jsonl'),
+    retentionMs: queueRetentionMs,
+    deadLetterRetentionMs: (parseInt(process.env.DEAD_LETTER_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+    // Media files live as long as the job that references them
+    onDrop: job => {
+        if (job.media) {
+            mediaStore.remove(job.media.file);
+        }
+    },
+    // History outlives the queue, so each job change is copied there as it happens
+    onChange: job => {
+        try {
+            messageHistory.recordJob(job);
+        } catch (error) {
+            logger.error('Error recording message history:', { jobId: job.id, error: error.message });
+        }
     }
+});
+// Callers waiting on a job's outcome, keyed by job id (in-memory only)
+const jobWaiters = new Map();
 
-    try {
-        // Simple check to see if client is still responsive
-        return client.pupPage && !client.pupPage.isClosed();
-    } catch (error) {
-        logger.warn('Session health check failed:', error.message);
-        return false;
-    }
+const replayedJobs = jobStore.load();
+if (replayedJobs > 0) {
+    logger.warn(`Replayed ${replayedJobs} jobs that were interrupted while sending`);
 }
 
-// Start session health monitoring
-function startSessionHealthMonitoring() {
-    if (sessionHealthCheck) {
-        clearInterval(sessionHealthCheck);
-    }
+// Broadcast campaigns (their messages are regular jobs tagged with campaignId)
+const campaigns = new CampaignStore({
+    filePath: path.join(dataDir, 'campaigns.jsonl'),
+    retentionMs: queueRetentionMs
+});
+campaigns.load();
 
-    sessionHealthCheck = setInterval(async () => {
-        if (!clientInitialized) {
-            return;
-        }
+// Idempotency-Key values of send requests, so retries don't send twice
+const idempotencyKeys = new IdempotencyStore({
+    filePath: path.join(dataDir, 'idempotency.jsonl'),
+    windowMs: (parseInt(process.env.IDEMPOTENCY_WINDOW_HOURS, 10) || 24) * 60 * 60 * 1000
+});
+idempotencyKeys.load();
+// Keys whose first request is still being handled, before a job exists to record
+const pendingIdempotencyKeys = new Set();
+
+// Named message templates, managed via /templates
+const templates = new TemplateStore({
+    filePath: path.join(dataDir, 'templates.json')
+});
+templates.load();
 
-        const isHealthy = checkSessionHealth();
-        lastHealthCheck = new Date();
+// `sandbox` simulates WhatsApp in-process for staging and CI; see /sandbox below
+const clientDriver = process.env.WA_DRIVER || 'web';
+if (clientDriver === 'sandbox') {
+    logger.warn('WA_DRIVER=sandbox: messages are simulated and never reach WhatsApp');
+}
 
-        if (!isHealthy && !sessionRestartInProgress) {
-            logger.warn('Session health check failed, attempting to recover...');
-            await recoverSession();
-        }
-    }, 30000); // Check every 30 seconds
+// WhatsApp sessions (one per number)
+const sessions = new SessionManager({
+    registryPath: path.join(dataDir, 'sessions.json'),
+    defaultSessionId: process.env.WA_SESSION_NAME || 'whatsapp-session',
+    staticSessionIds: (process.env.WA_SESSIONS || '').split(',').map(id => id.trim()).filter(Boolean),
+    jobStore,
+    mediaStore,
+    pacing: loadPacingConfig(process.env),
+    retryPolicy: loadRetryPolicy(process.env),
+    createClient: resolveClientDriver(clientDriver)
+});
+sessions.load();
+
+// Prometheus metrics, served at /metrics
+const metrics = new GatewayMetrics({ jobStore, sessions });
+
+// Jobs queued before multi-session support belong to the default session
+for (const job of jobStore.list([JOB_STATES.QUEUED, JOB_STATES.SENDING])) {
+    if (!job.session) {
+        jobStore.update(job.id, { session: sessions.defaultSessionId });
+    }
 }
 
-// Session recovery function
-async function recoverSession() {
-    if (sessionRestartInProgress) {
-        logger.info('Session restart already in progress, skipping...');
+// Outbound webhooks (delivery/read receipts)
+const webhooks = new WebhookDispatcher({
+    filePath: path.join(dataDir, 'webhook-outbox.jsonl'),
+    url: process.env.WEBHOOK_URL,
+    secret: process.env.WEBHOOK_SECRET,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || undefined,
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || undefined
+});
+webhooks.load();
+const inboundWebhookUrl = process.env.INBOUND_WEBHOOK_URL || process.env.WEBHOOK_URL;
+
+// Inbound messages
+const inbox = new Inbox({
+    filePath: path.join(dataDir, 'inbox.jsonl'),
+    maxMessages: parseInt(process.env.INBOX_MAX_MESSAGES, 10) || undefined
+});
+inbox.load();
+
+// Record a delivery/read receipt and forward it to the webhook receiver
+function handleMessageAck(session, msg, ack) {
+    if (!msg || !msg.fromMe || !msg.id) {
         return;
     }
 
-    sessionRestartInProgress = true;
-    logger.info('Starting session recovery...');
+    const messageId = msg.id.id;
+    const status = ackStatusName(ack);
+    const job = jobStore.findByMessageId(messageId);
 
-    try {
-        // Try to destroy existing client gracefully
-        if (client) {
-            try {
-                await client.destroy();
-                logger.info('Old client destroyed successfully');
-            } catch (error) {
-                logger.warn('Error destroying old client:', error.message);
-            }
-        }
+    // Parts of a split message map to their job too, but the job's ack follows its last part
+    if (job && job.messageId === messageId) {
+        jobStore.update(job.id, { ack: status });
+    }
 
-        // Reset client state
-        client = null;
-        clientInitialized = false;
+    logger.debug('Message ack received', { session: session.id, messageId, ack, status, jobId: job ? job.id : null });
 
-        // Wait a moment before reinitializing
-        await new Promise(resolve => setTimeout(resolve, 3000));
+    webhooks.enqueue('message.ack', {
+        session: session.id,
+        messageId,
+        jobId: job ? job.id : null,
+        to: msg.to,
+        ack,
+        status,
+        timestamp: new Date().toISOString()
+    });
+}
 
-        // Reinitialize client
-        const success = await initializeWhatsAppClient();
-        
-        if (success) {
-            logger.info('Session recovery completed successfully');
-        } else {
-            logger.error('Session recovery failed');
-        }
+// Store an incoming message and forward it to the inbound webhook
+function handleInboundMessage(session, msg) {
+    if (!msg || msg.fromMe || msg.from === 'status@broadcast') {
+        return;
+    }
+
+    try {
+        const entry = inbox.add({ session: session.id, ...normalizeInboundMessage(msg) });
+        messageHistory.recordInbound(entry);
+        logger.info('Inbound message received', {
+            session: session.id,
+            messageId: entry.messageId,
+            chatId: entry.chatId,
+            type: entry.type
+        });
+
+        webhooks.enqueue('message.received', entry, inboundWebhookUrl);
     } catch (error) {
-        logger.error('Error during session recovery:', error);
-    } finally {
-        sessionRestartInProgress = false;
+        logger.error('Error handling inbound message:', { session: session.id, error: error.message });
     }
 }
 
-// Message queue processing
-async function processMessageQueue() {
-    if (processingQueue || messageQueue.length === 0) {
+// Resolve or reject whoever is waiting on a job
+function settleJobWaiter(jobId, error, result) {
+    const waiter = jobWaiters.get(jobId);
+    if (!waiter) {
         return;
     }
 
-    processingQueue = true;
-    
-    while (messageQueue.length > 0) {
-        const messageTask = messageQueue.shift();
-        
-        try {
-            if (!client || !clientInitialized) {
-                // Re-queue the message
-                messageQueue.unshift(messageTask);
-                break;
-            }
+    jobWaiters.delete(jobId);
+    clearTimeout(waiter.timer);
+    if (error) {
+        waiter.reject(error);
+    } else {
+        waiter.resolve(result);
+    }
+}
 
-            await messageTask.execute();
-            messageTask.resolve(messageTask.result);
-        } catch (error) {
-            messageTask.reject(error);
-        }
+sessions.on('message_ack', handleMessageAck);
+sessions.on('message', handleInboundMessage);
+sessions.on('job_settled', (session, job, error, result) => settleJobWaiter(job.id, error, result));
 
-        // Small delay between messages to prevent overwhelming
-        await new Promise(resolve => setTimeout(resolve, 1000));
+// Per-state job counts for a campaign; falls back to the summary saved when it finished
+function campaignCounts(campaign) {
+    const jobs = jobStore.listByCampaign(campaign.id);
+    if (jobs.length === 0 && campaign.summary) {
+        return campaign.summary;
     }
-    
-    processingQueue = false;
+
+    const counts = {};
+    for (const state of Object.values(JOB_STATES)) {
+        counts[state] = 0;
+    }
+    jobs.forEach(job => counts[job.state]++);
+    return counts;
 }
 
-// Add message to queue
-function queueMessage(chatId, message) {
-    return new Promise((resolve, reject) => {
-        const messageTask = {
-            chatId,
-            message,
-            resolve,
-            reject,
-            timestamp: Date.now(),
-            execute: async function() {
-                try {
-                    this.result = await client.sendMessage(this.chatId, this.message);
-                } catch (err) {
-                    // whatsapp-web.js occasionally throws an evaluation error
-                    // when trying to mark the chat as unread (bug in library).
-                    // we ignore it and return a dummy result so the queue continues.
-                    if (err.message && err.message.includes('markedUnread')) {
-                        logger.warn('Non‑critical sendMessage error (markedUnread), ignoring', {
-                            error: err.message
-                        });
-                        this.result = { id: { id: null }, timestamp: Date.now() };
-                    } else {
-                        throw err;
-                    }
-                }
-            }
-        };
+// Mark a running campaign completed once none of its jobs are left to send.
+// A cancelled campaign just refreshes its saved totals (a send may have been in flight).
+function checkCampaignCompletion(campaignId) {
+    const campaign = campaigns.get(campaignId);
+    if (!campaign) {
+        return;
+    }
 
-        messageQueue.push(messageTask);
-        processMessageQueue();
+    const counts = campaignCounts(campaign);
+    if (campaign.state === CAMPAIGN_STATES.CANCELLED) {
+        campaigns.update(campaignId, { summary: counts });
+        return;
+    }
+    if (campaign.state !== CAMPAIGN_STATES.RUNNING) {
+        return;
+    }
+    if (counts[JOB_STATES.QUEUED] + counts[JOB_STATES.SENDING] + counts[JOB_STATES.PAUSED] > 0) {
+        return;
+    }
 
-        // Timeout after 2 minutes
-        setTimeout(() => {
-            reject(new Error('Message sending timeout'));
-        }, 120000);
+    const completed = campaigns.update(campaignId, {
+        state: CAMPAIGN_STATES.COMPLETED,
+        finishedAt: new Date().toISOString(),
+        // Jobs are compacted after QUEUE_RETENTION_HOURS, keep the totals
+        summary: counts
     });
+    logger.info('Broadcast campaign completed', { campaignId, session: campaign.session, counts });
+    webhooks.enqueue('campaign.completed', serializeCampaign(completed));
 }
 
-function createWhatsAppClient() {
-    // Try to find Chrome executable
-    const chromePaths = [
-        process.env.CHROME_PATH,
-        process.env.PUPPETEER_EXECUTABLE_PATH,
-        '/usr/bin/google-chrome-stable',
-        '/usr/bin/google-chrome',
-        '/usr/bin/chromium-browser',
-        '/usr/bin/chromium',
-        '/snap/bin/chromium'
-    ].filter(Boolean);
+sessions.on('job_settled', (session, job) => {
+    if (job.campaignId) {
+        checkCampaignCompletion(job.campaignId);
+    }
+});
 
-    let executablePath = undefined;
-    const fs = require('fs');
-    
-    for (const path of chromePaths) {
-        try {
-            if (fs.existsSync(path)) {
-                executablePath = path;
-                logger.info(`Using Chrome executable: ${executablePath}`);
-                break;
-            }
-        } catch (error) {
-            // Continue to next path
-        }
-    }
-
-    return new Client({
-        authStrategy: new LocalAuth({
-            clientId: process.env.WA_SESSION_NAME || 'whatsapp-session',
-            dataPath: './.wwebjs_auth'
-        }),
-        puppeteer: {
-            headless: true,
-            executablePath: executablePath,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--disable-gpu',
-                '--disable-web-security',
-                '--disable-extensions',
-                '--disable-plugins',
-                '--disable-images',
-                '--disable-default-apps',
-                '--disable-sync',
-                '--disable-translate',
-                '--hide-scrollbars',
-                '--mute-audio',
-                '--no-default-browser-check',
-                '--disable-background-timer-throttling',
-                '--disable-backgrounding-occluded-windows',
-                '--disable-renderer-backgrounding',
-                '--disable-features=TranslateUI',
-                '--disable-ipc-flooding-protection',
-                '--disable-hang-monitor',
-                '--disable-client-side-phishing-detection',
-                '--disable-component-update',
-                '--disable-popup-blocking',
-                '--disable-blink-features=AutomationControlled',
-                '--disable-software-rasterizer',
-                '--disable-background-networking',
-                '--disable-default-apps',
-                '--disable-extensions-file-access-check',
-                '--disable-sync',
-                '--disable-prompt-on-repost',
-                '--no-default-browser-check',
-                '--no-first-run',
-                '--disable-backgrounding-occluded-windows',
-                '--disable-renderer-backgrounding',
-                '--disable-features=TranslateUI,BlinkGenPropertyTrees',
-                '--disable-background-timer-throttling',
-                '--memory-pressure-off',
-                '--max_old_space_size=4096'
-            ],
-            timeout: 60000
-        },
-        webVersionCache: {
-            type: 'remote',
-            remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
-        }
-    });
-}
-
-// Initialize WhatsApp client with retry mechanism
-async function initializeWhatsAppClient() {
-    if (clientInitialized) {
-        return true;
+// A job whose time to live ran out is dropped, never sent late
+sessions.on('job_expired', (session, job) => {
+    settleJobWaiter(job.id, new Error(job.lastError));
+    webhooks.enqueue('message.expired', serializeJob(job));
+    if (job.campaignId) {
+        checkCampaignCompletion(job.campaignId);
+    }
+});
+
+// Sessions only check while sending, so also sweep queues that are stuck behind a disconnected session
+setInterval(() => sessions.list().forEach(session => session.expireOverdueJobs()), 30 * 1000).unref();
+
+// The process may have stopped between a campaign's last send and its completion
+campaigns.list()
+    .filter(campaign => campaign.state === CAMPAIGN_STATES.RUNNING)
+    .forEach(campaign => checkCampaignCompletion(campaign.id));
+
+// Browsers following a session's pairing over Server-Sent Events, keyed by session id
+const qrStreams = new Map();
+
+// Push an event to every stream watching a session
+function publishPairingEvent(session, event, data) {
+    const streams = qrStreams.get(session.id);
+    if (!streams) {
+        return;
     }
 
-    if (initializationAttempts >= maxInitAttempts) {
-        logger.error('Maximum initialization attempts reached. WhatsApp client will not be available.');
-        return false;
+    const payload = `event: ${event}\ndata: ${JSON.stringify({ session: session.id, ...data })}\n\n`;
+    for (const res of streams) {
+        res.write(payload);
     }
+}
 
-    initializationAttempts++;
-    logger.info(`Initializing WhatsApp client (attempt ${initializationAttempts}/${maxInitAttempts})...`);
+sessions.on('qr', (session, qr) => publishPairingEvent(session, 'qr', qr));
+sessions.on('qr_expired', session => publishPairingEvent(session, 'expired', {}));
+sessions.on('authenticated', session => publishPairingEvent(session, 'authenticated', {}));
+sessions.on('ready', session => publishPairingEvent(session, 'ready', session.info() || {}));
 
-    try {
-        client = createWhatsAppClient();
-        
-        // Set up event handlers
-        client.on('qr', (qr) => {
-            logger.info('QR Code received, scan to authenticate (raw data included)', { qr });
-            // print to terminal for manual scanning as well
-            qrcode.generate(qr, { small: true });
-            // start ready watchdog after user sees QR
-            startReadyWatchdog();
-        });
-
-        // also start watchdog when authentication completes (session file reused)
-        client.on('authenticated', () => {
-            logger.info('WhatsApp client authenticated successfully');
-            startReadyWatchdog();
-        });
-
-        // helper that starts or resets the ready timeout
-        let readyTimeout;
-        function startReadyWatchdog() {
-            if (readyTimeout) {
-                clearTimeout(readyTimeout);
+// Persist a message job and kick the session's queue
+function enqueueMessage(session, chatId, message, meta = {}) {
+    const job = jobStore.create({ session: session.id, chatId, message, ...meta });
+    session.processQueue();
+    return job;
+}
+
+// Job fields for a location, contact or poll message (see RICH_MESSAGE_TYPES)
+function richMessageFields(type, body, country) {
+    const optionalText = value => (value ? sanitizeMessage(value) : null);
+
+    if (type === 'location') {
+        const { latitude, longitude, name, address, url } = body.location;
+        return { location: { latitude, longitude, name: optionalText(name), address: optionalText(address), url: url || null } };
+    }
+    if (type === 'contact') {
+        const { name, phone, organization, email } = body.contact;
+        return {
+            contact: {
+                name: sanitizeMessage(name),
+                phone: parsePhoneNumber(phone, country).phone,
+                organization: optionalText(organization),
+                email: email || null
             }
-            readyTimeout = setTimeout(() => {
-                if (!clientInitialized) {
-                    logger.warn('WhatsApp client has not emitted ready event within 60s. Make sure QR was scanned or OTP/2FA completed on the phone.');
-                }
-            }, 60000);
+        };
+    }
+    return {
+        poll: {
+            question: sanitizeMessage(body.poll.question),
+            options: body.poll.options.map(option => sanitizeMessage(option)),
+            allowMultiple: body.poll.allow_multiple === true
         }
+    };
+}
 
-        client.on('ready', () => {
-            if (readyTimeout) clearTimeout(readyTimeout);
-            logger.info('WhatsApp client is ready!');
-            clientInitialized = true;
-            initializationAttempts = 0; // Reset counter on success
-            
-            // Start session health monitoring
-            startSessionHealthMonitoring();
-            
-            // Process any queued messages
-            processMessageQueue();
-        });
+// Wait for a queued job to be sent
+function waitForJob(jobId, timeoutMs = 120000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            jobWaiters.delete(jobId);
+            // The job stays in the queue; only this caller stops waiting
+            reject(new Error('Message sending timeout'));
+        }, timeoutMs);
+
+        jobWaiters.set(jobId, { resolve, reject, timer });
+    });
+}
+
+// Scheduled messages (send_at)
+const scheduleLateToleranceSeconds = parseInt(process.env.SCHEDULE_LATE_TOLERANCE_SECONDS, 10);
+const scheduler = new MessageScheduler({
+    jobStore,
+    lateToleranceMs: (Number.isNaN(scheduleLateToleranceSeconds) ? 300 : scheduleLateToleranceSeconds) * 1000,
+    defaultLatePolicy: process.env.SCHEDULE_LATE_POLICY === 'expire' ? 'expire' : 'send',
+    isSessionReady: id => {
+        const session = sessions.get(id);
+        return Boolean(session && session.ready);
+    },
+    onQueued: job => {
+        const session = sessions.get(job.session);
+        if (session) {
+            session.processQueue();
+        }
+    },
+    onExpired: job => webhooks.enqueue('message.expired', serializeJob(job))
+});
+sessions.on('ready', () => scheduler.run());
+scheduler.start();
+
+// Public view of a job for API responses
+function serializeJob(job) {
+    return {
+        jobId: job.id,
+        session: job.session,
+        campaignId: job.campaignId,
+        status: job.state,
+        priority: jobPriority(job),
+        expiresAt: job.expiresAt || null,
+        to: job.to,
+        messageId: job.messageId,
+        // Set when a long message went out in several parts; messageId is the last one
+        partMessageIds: job.partMessageIds,
+        ack: job.ack || null,
+        attempts: job.attempts,
+        lastError: job.lastError,
+        // Set while a failed send waits to be retried
+        nextAttemptAt: job.nextAttemptAt || undefined,
+        // Set once the job is in the dead-letter queue
+        errorKind: job.errorKind || undefined,
+        deadLetteredAt: job.deadLetteredAt || undefined,
+        sender: job.sender,
+        type: job.type,
+        sendAt: job.sendAt,
+        timezone: job.timezone,
+        latePolicy: job.latePolicy,
+        replyTo: job.quotedMessageId,
+        location: job.location,
+        contact: job.contact,
+        poll: job.poll,
+        media: job.media ? {
+            mimetype: job.media.mimetype,
+            filename: job.media.filename,
+            size: job.media.size,
+            asDocument: job.media.asDocument
+        } : undefined,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+// Public view of a campaign for API responses
+function serializeCampaign(campaign) {
+    return {
+        campaignId: campaign.id,
+        name: campaign.name,
+        session: campaign.session,
+        status: campaign.state,
+        total: campaign.total,
+        counts: campaignCounts(campaign),
+        sender: campaign.sender,
+        type: campaign.type,
+        createdAt: campaign.createdAt,
+        updatedAt: campaign.updatedAt,
+        finishedAt: campaign.finishedAt
+    };
+}
+
+// Read send_at/timezone/late_policy from a send request. Returns `{ sendAt: null }` to send
+// right away, or null after answering with a 400 when the time can't be used.
+function resolveSchedule(req, res) {
+    const { send_at: sendAtInput, timezone, late_policy: latePolicy } = req.body;
+    if (sendAtInput === undefined || sendAtInput === '') {
+        return { sendAt: null };
+    }
 
+    const { date } = parseSendAt(sendAtInput, timezone);
+    const now = Date.now();
+    const maxDays = parseInt(process.env.SCHEDULE_MAX_DAYS, 10) || 365;
 
-        client.on('authenticated', () => {
-            logger.info('WhatsApp client authenticated successfully');
+    // Allow for clock skew between the caller and the gateway
+    if (date.getTime() < now - 60 * 1000) {
+        res.status(400).json({
+            status: false,
+            error: `send_at is in the past (${date.toISOString()})`
+        });
+        return null;
+    }
+    if (date.getTime() > now + maxDays * 24 * 60 * 60 * 1000) {
+        res.status(400).json({
+            status: false,
+            error: `send_at may be at most ${maxDays} days ahead`
         });
+        return null;
+    }
+    if (date.getTime() <= now) {
+        return { sendAt: null };
+    }
+
+    return {
+        sendAt: date.toISOString(),
+        timezone: timezone || process.env.DEFAULT_TIMEZONE || null,
+        latePolicy: latePolicy || null
+    };
+}
+
+// Queue lane and expiry time of a new job. The time to live counts from send_at
+// for scheduled messages, so it limits lateness rather than how far ahead they are booked.
+function resolveQueueOptions(body, schedule, defaultPriority) {
+    const priority = body.priority || defaultPriority;
+    const ttlSeconds = body.ttl !== undefined ? Number(body.ttl) : getQueueTtlSeconds(priority);
+    const startsAt = schedule && schedule.sendAt ? Date.parse(schedule.sendAt) : Date.now();
+
+    return {
+        priority,
+        expiresAt: ttlSeconds > 0 ? new Date(startsAt + ttlSeconds * 1000).toISOString() : null
+    };
+}
+
+// Whether the caller asked for a 202 + job ID instead of waiting for the send
+function wantsAsyncResponse(req) {
+    const flag = req.body.async !== undefined ? req.body.async : req.query.async;
+    if (isTruthyFlag(flag)) {
+        return true;
+    }
+
+    const prefer = req.get('Prefer');
+    return Boolean(prefer && prefer.toLowerCase().includes('respond-async'));
+}
 
-        client.on('auth_failure', (msg) => {
-            logger.error('Authentication failed (auth_failure event):', { message: msg });
-            clientInitialized = false;
+// Look up the session a request targets (body or query `session`, else the default).
+// Sends a 404 and returns null when it doesn't exist.
+function resolveSession(req, res) {
+    const id = (req.body && req.body.session) || req.query.session;
+    const session = sessions.get(id);
+
+    if (!session) {
+        res.status(404).json({
+            status: false,
+            error: `Session not found: ${id}`
         });
+        return null;
+    }
+    return session;
+}
 
-        client.on('session_update', (session) => {
-            logger.info('Session updated, data saved to disk');
+// Whether a send should confirm the number has WhatsApp first (per request, else CHECK_NUMBER_BEFORE_SEND)
+function wantsNumberCheck(req) {
+    if (req.body.check_number !== undefined) {
+        return isTruthyFlag(req.body.check_number);
+    }
+    return process.env.CHECK_NUMBER_BEFORE_SEND === 'true';
+}
+
+// Look up the group behind an invite code. Sends a 4xx/5xx response and returns null on failure.
+async function resolveGroupInvite(res, session, inviteCode) {
+    if (!session.ready) {
+        res.status(503).json({
+            status: false,
+            error: 'WhatsApp client is not ready, the group invite cannot be resolved yet',
+            session: session.id
         });
+        return null;
+    }
 
-        client.on('change_state', (state) => {
-            logger.info('WhatsApp client state changed:', state);
+    let group;
+    try {
+        group = await session.resolveGroupInvite(inviteCode);
+    } catch (error) {
+        logger.error('Group invite lookup failed:', { session: session.id, error: error.message });
+        res.status(503).json({
+            status: false,
+            error: 'Could not look up the group invite with WhatsApp, try again later',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
+        return null;
+    }
 
-        client.on('disconnected', (reason) => {
-            logger.warn('WhatsApp client was disconnected:', reason);
-            clientInitialized = false;
-            
-            // Clear health check interval
-            if (sessionHealthCheck) {
-                clearInterval(sessionHealthCheck);
-            }
-            
-            // Retry connection after delay
-            setTimeout(() => {
-                if (!clientInitialized && !sessionRestartInProgress) {
-                    logger.info('Attempting to reconnect WhatsApp client...');
-                    initializeWhatsAppClient();
-                }
-            }, 10000);
-        });
-        
-        // Add error handler for session crashes
-        client.on('change_state', (state) => {
-            logger.info('WhatsApp client state changed:', state);
-            
-            if (state === 'CONFLICT' || state === 'UNLAUNCHED') {
-                logger.warn('Client in problematic state, attempting recovery...');
-                setTimeout(() => recoverSession(), 5000);
-            }
+    if (!group) {
+        res.status(422).json({
+            status: false,
+            error: 'Group invite is invalid or has been revoked'
         });
+        return null;
+    }
+    return group.id;
+}
 
-        await client.initialize();
+// Work out the chat ID for a parsed recipient (see parseRecipient), optionally verifying
+// a phone number is on WhatsApp. Sends a 4xx/5xx response and returns null when the send
+// shouldn't go ahead.
+async function resolveRecipient(req, res, session, recipient) {
+    if (recipient.inviteCode) {
+        return resolveGroupInvite(res, session, recipient.inviteCode);
+    }
+    if (recipient.group || !wantsNumberCheck(req)) {
+        return recipient.chatId;
+    }
 
-        // attach puppeteer page event handlers for extra visibility and auto‑recovery
-        try {
-            const page = client.pupPage;
-            if (page) {
-                page.on('error', err => {
-                    logger.error('Puppeteer page error event', { error: err.message });
-                    recoverSession();
-                });
-                page.on('pageerror', err => {
-                    logger.error('Puppeteer pageerror event', { error: err.message });
-                    // error during script execution can indicate unstable context
-                    if (err.message && err.message.includes('Execution context was destroyed')) {
-                        logger.warn('Page error signals context destroyed, recovering session');
-                        recoverSession();
-                    }
-                });
-                page.on('crash', () => {
-                    logger.error('Puppeteer page crashed, attempting recovery');
-                    recoverSession();
-                });
-                page.on('close', () => {
-                    logger.warn('Puppeteer page closed unexpectedly');
-                    clientInitialized = false;
-                });
-            }
-        } catch (attachErr) {
-            // non‑fatal, just log
-            logger.warn('Could not attach puppeteer page listeners:', attachErr.message);
-        }
+    const phone = recipient.phone;
 
-        return true;
+    if (!session.ready) {
+        res.status(503).json({
+            status: false,
+            error: 'WhatsApp client is not ready, the number cannot be checked yet',
+            session: session.id
+        });
+        return null;
+    }
+
+    let lookup;
+    try {
+        lookup = await session.checkNumber(phone);
     } catch (error) {
-        logger.error('Error initializing WhatsApp client:', {
-            error: error.message,
-            stack: error.stack,
-            attempt: initializationAttempts
+        logger.error('Number check failed:', { session: session.id, to: phone, error: error.message });
+        res.status(503).json({
+            status: false,
+            error: 'Could not verify the number with WhatsApp, try again later',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
-        
-        // Clean up failed client
-        if (client) {
-            try {
-                await client.destroy();
-            } catch (destroyError) {
-                logger.error('Error destroying failed client:', destroyError);
-            }
-            client = null;
-        }
-        
-        // Retry after delay
-        if (initializationAttempts < maxInitAttempts) {
-            setTimeout(() => {
-                initializeWhatsAppClient();
-            }, 5000 * initializationAttempts); // Exponential backoff
-        }
-        
-        return false;
+        return null;
+    }
+
+    if (!lookup.registered) {
+        logger.warn('Send rejected: number is not on WhatsApp', { session: session.id, to: phone, keyId: req.apiKey.id });
+        res.status(422).json({
+            status: false,
+            error: `Number ${phone} is not registered on WhatsApp`,
+            to: phone
+        });
+        return null;
     }
+
+    return lookup.wid;
 }
 
-// WhatsApp Client Event Handlers (moved to initialization function)
-// ... (event handlers moved to initializeWhatsAppClient function)
+// API key authentication
+let apiKeys = [];
+try {
+    apiKeys = loadApiKeys();
+} catch (error) {
+    logger.error('Invalid API key configuration:', { error: error.message });
+    process.exit(1);
+}
+const apiAuthDisabled = process.env.API_AUTH_DISABLED === 'true';
+if (apiAuthDisabled) {
+    logger.warn('API_AUTH_DISABLED=true: every API route is publicly accessible');
+} else if (apiKeys.length === 0) {
+    logger.error('No API keys configured (API_KEYS or API_KEYS_FILE); API routes other than /health will answer 503');
+} else {
+    logger.info(`Loaded ${apiKeys.length} API keys`);
+}
 
 // API Routes
 const apiRouter = express.Router();
 
 // Health check endpoint
 apiRouter.get('/health', (req, res) => {
+    // Top-level fields describe the default session, as before multi-session support
+    const session = sessions.defaultSession;
+
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
-        whatsapp_ready: clientInitialized,
-        initialization_attempts: initializationAttempts,
-        session_health: checkSessionHealth(),
-        last_health_check: lastHealthCheck,
-        message_queue_length: messageQueue.length,
-        processing_queue: processingQueue,
-        restart_in_progress: sessionRestartInProgress
+        driver: clientDriver,
+        whatsapp_ready: session.ready,
+        initialization_attempts: session.initializationAttempts,
+        session_health: session.checkHealth(),
+        last_health_check: session.lastHealthCheck,
+        message_queue_length: jobStore.list([JOB_STATES.QUEUED, JOB_STATES.SENDING]).length,
+        processing_queue: session.processingQueue,
+        restart_in_progress: session.restartInProgress,
+        sessions: sessions.list().map(item => ({
+            id: item.id,
+            ready: item.ready,
+            session_health: item.checkHealth()
+        }))
     });
 });
 
-// Send message endpoint
-apiRouter.post('/send-message', async (req, res) => {
-    try {
-        const { to, message, sender, type } = req.body;
+// Everything below /health requires an API key; only the QR routes, which browsers
+// and EventSource open directly, may pass it as ?api_key=
+apiRouter.use(createApiKeyAuth({ keys: apiKeys, disabled: apiAuthDisabled, queryKeyPaths: ['/qr', '/qr/stream'] }));
 
-        // log request payload for debugging
-        logger.info('Received send-message request', {
-            to,
-            messageLength: message ? message.length : 0,
-            sender,
-            type
+// Set once a shutdown signal arrives (see shutdown below)
+let shuttingDown = false;
+const SHUTDOWN_RETRY_AFTER_SECONDS = 30;
+
+// Turn away requests that would queue messages while the server is shutting down
+function rejectWhileShuttingDown(req, res, next) {
+    if (!shuttingDown) {
+        return next();
+    }
+
+    res.set('Retry-After', String(SHUTDOWN_RETRY_AFTER_SECONDS));
+    return res.status(503).json({
+        status: false,
+        error: 'Server is shutting down, retry shortly'
+    });
+}
+
+// Answer a retried request with what its first attempt created
+function replayIdempotentRequest(req, res, record) {
+    res.set('Idempotent-Replayed', 'true');
+
+    if (record.campaignId) {
+        const campaign = campaigns.get(record.campaignId);
+        if (campaign) {
+            return res.status(202).json({
+                status: true,
+                message: 'Broadcast sudah dibuat sebelumnya',
+                data: {
+                    ...serializeCampaign(campaign),
+                    statusUrl: `${req.baseUrl}/broadcast/${campaign.id}`
+                }
+            });
+        }
+    }
+
+    const job = record.jobId ? jobStore.get(record.jobId) : null;
+    if (!job) {
+        return res.status(409).json({
+            status: false,
+            error: 'Idempotency-Key was already used, but its original message is no longer available'
         });
+    }
 
-        // validate and sanitize payload using helpers
-        const validation = validateSendMessagePayload(req.body);
-        if (!validation.isValid) {
-            logger.warn('send-message validation failed', { errors: validation.errors, payload: req.body });
-            return res.status(400).json({
+    const data = {
+        ...serializeJob(job),
+        statusUrl: `${req.baseUrl}/messages/${job.id}`
+    };
+
+    if (job.state === JOB_STATES.SENT) {
+        return res.json({ status: true, message: 'Pesan berhasil dikirim', data });
+    }
+    if ([JOB_STATES.FAILED, JOB_STATES.CANCELLED, JOB_STATES.EXPIRED].includes(job.state)) {
+        return res.status(409).json({
+            status: false,
+            error: `The original message was ${job.state}${job.lastError ? `: ${job.lastError}` : ''}. Use a new Idempotency-Key to send it again`,
+            data
+        });
+    }
+    return res.status(202).json({
+        status: true,
+        message: job.state === JOB_STATES.SCHEDULED ? 'Pesan dijadwalkan' : 'Pesan masuk antrian',
+        data
+    });
+}
+
+/**
+ * Read the Idempotency-Key header (or `idempotency_key` field) of a send request.
+ * A key seen before within the window is answered with the original result.
+ * @returns {object|null} - `{ remember(data) }` to call once a job or campaign exists,
+ *   or null when a response was already sent
+ */
+function resolveIdempotency(req, res) {
+    const key = req.get('Idempotency-Key') || req.body.idempotency_key;
+    if (key === undefined || key === '') {
+        return { remember: () => {} };
+    }
+
+    if (typeof key !== 'string' || !IDEMPOTENCY_KEY_PATTERN.test(key)) {
+        res.status(400).json({
+            status: false,
+            error: 'Idempotency-Key must be 1-255 printable ASCII characters without spaces'
+        });
+        return null;
+    }
+
+    const scope = req.apiKey.id;
+    const { idempotency_key: ignored, ...body } = req.body;
+    const fingerprint = fingerprintRequest({
+        endpoint: req.path,
+        query: req.query,
+        body,
+        file: req.file ? crypto.createHash('sha256').update(req.file.buffer).digest('hex') : null
+    });
+
+    const record = idempotencyKeys.get(scope, key);
+    if (record) {
+        if (record.fingerprint !== fingerprint) {
+            res.status(422).json({
                 status: false,
-                errors: validation.errors
+                error: 'Idempotency-Key was already used for a different request'
+            });
+            return null;
+        }
+        logger.info('Replaying idempotent request', { keyId: scope, idempotencyKey: key, jobId: record.jobId, campaignId: record.campaignId });
+        replayIdempotentRequest(req, res, record);
+        return null;
+    }
+
+    const pendingId = `${scope}:${key}`;
+    if (pendingIdempotencyKeys.has(pendingId)) {
+        res.set('Retry-After', '1');
+        res.status(409).json({
+            status: false,
+            error: 'A request with this Idempotency-Key is still being processed'
+        });
+        return null;
+    }
+    pendingIdempotencyKeys.add(pendingId);
+    res.on('close', () => pendingIdempotencyKeys.delete(pendingId));
+
+    return {
+        remember: data => {
+            idempotencyKeys.remember(scope, key, { fingerprint, ...data });
+            pendingIdempotencyKeys.delete(pendingId);
+        }
+    };
+}
+
+// Queue a job and answer the request: 202 right away in async mode,
+// otherwise wait for the send to finish
+async function submitMessageJob(req, res, { session, chatId, message, meta, asyncMode, schedule, idempotency }) {
+    let job = null;
+
+    try {
+        if (schedule && schedule.sendAt) {
+            job = jobStore.create({ session: session.id, chatId, message, ...meta, ...schedule }, JOB_STATES.SCHEDULED);
+            idempotency.remember({ jobId: job.id });
+            scheduler.run();
+            logger.info(`Message scheduled for ${meta.to}`, { session: session.id, jobId: job.id, sendAt: job.sendAt });
+
+            return res.status(202).json({
+                status: true,
+                message: 'Pesan dijadwalkan',
+                data: {
+                    ...serializeJob(job),
+                    statusUrl: `${req.baseUrl}/messages/${job.id}`
+                }
+            });
+        }
+
+        if (asyncMode) {
+            job = enqueueMessage(session, chatId, message, meta);
+            idempotency.remember({ jobId: job.id });
+            logger.info(`Message queued for ${meta.to}`, { session: session.id, jobId: job.id });
+
+            return res.status(202).json({
+                status: true,
+                message: 'Pesan masuk antrian',
+                data: {
+                    ...serializeJob(job),
+                    statusUrl: `${req.baseUrl}/messages/${job.id}`
+                }
             });
         }
 
-        // Check if WhatsApp client is ready
-        if (!client || !clientInitialized) {
-            logger.warn('send-message rejected: client not ready', {
-                payload: req.body,
-                ready: clientInitialized,
-                attempts: initializationAttempts
-            });
-            return res.status(503).json({
-                status: false,
-                error: 'WhatsApp client is not ready. Please wait for initialization or scan QR code.',
-                ready: clientInitialized,
-                attempts: initializationAttempts
-            });
-        }
+        // Check if session is healthy before sending
+        if (!session.checkHealth()) {
+            logger.warn('Session unhealthy, attempting recovery before sending message', { session: session.id });
+            await session.recover('health_check');
+
+            // Wait for recovery
+            if (!await session.waitUntilReady(30000)) {
+                throw new Error('Failed to recover session within timeout');
+            }
+        }
+
+        // Only the queue sends: a second, direct send here could deliver the message twice.
+        // Failed attempts are retried by the queue (see SEND_MAX_ATTEMPTS); this waits for the outcome.
+        job = enqueueMessage(session, chatId, message, meta);
+        idempotency.remember({ jobId: job.id });
+
+        const sentMessage = await waitForJob(job.id);
+
+        logger.info(`Message sent successfully to ${meta.to}`, {
+            messageId: sentMessage.id ? sentMessage.id.id : null,
+            timestamp: sentMessage.timestamp,
+            result: sentMessage
+        });
+
+        return res.json({
+            status: true,
+            message: 'Pesan berhasil dikirim',
+            data: {
+                messageId: sentMessage.id.id,
+                jobId: job.id,
+                session: session.id,
+                to: meta.to,
+                timestamp: sentMessage.timestamp,
+                sender: meta.sender,
+                type: meta.type
+            }
+        });
+
+    } catch (error) {
+        if (error.stillQueued) {
+            // Shutdown came before the send; the job is kept and sent after the restart
+            return res.status(202).json({
+                status: true,
+                message: 'Pesan masih dalam antrian dan dikirim setelah server berjalan kembali',
+                data: {
+                    ...serializeJob(jobStore.get(job.id)),
+                    statusUrl: `${req.baseUrl}/messages/${job.id}`
+                }
+            });
+        }
+
+        logger.error('Error sending WhatsApp message:', {
+            error: error.message,
+            stack: error.stack,
+            session: session.id,
+            to: meta.to,
+            jobId: job ? job.id : null
+        });
+
+        return res.status(500).json({
+            status: false,
+            error: 'Failed to send message',
+            // A timed-out job is still queued and can be tracked via /messages/:jobId
+            jobId: job ? job.id : undefined,
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+/**
+ * Render a stored template for a request, or respond with 400/404.
+ * @returns {string|null} - Rendered text, or null when a response was sent
+ */
+function renderRequestTemplate(res, name, variables) {
+    let rendered;
+    try {
+        rendered = templates.render(name, variables || {});
+    } catch (error) {
+        if (!(error instanceof TemplateSyntaxError)) {
+            throw error;
+        }
+        res.status(400).json({ status: false, error: `Template "${name}" could not be rendered: ${error.message}` });
+        return null;
+    }
+
+    if (!rendered) {
+        res.status(404).json({ status: false, error: `Template "${name}" not found` });
+        return null;
+    }
+    if (rendered.missing.length > 0) {
+        res.status(400).json({
+            status: false,
+            error: `Missing template variables: ${rendered.missing.join(', ')}`,
+            missing: rendered.missing
+        });
+        return null;
+    }
+    if (rendered.text.trim().length === 0) {
+        res.status(400).json({ status: false, error: `Template "${name}" rendered an empty message` });
+        return null;
+    }
+    if (rendered.text.length > getMaxMessageLength()) {
+        res.status(400).json({ status: false, error: `Rendered message is too long (max ${getMaxMessageLength()} characters)` });
+        return null;
+    }
+    return rendered.text;
+}
+
+// Send message endpoint
+apiRouter.post('/send-message', requireScope('send'), rejectWhileShuttingDown, async (req, res) => {
+    try {
+        const { to, message, template, variables, blocks, sender, type, country, reply_to: replyTo, mentions } = req.body;
+
+        // log request payload for debugging
+        logger.info('Received send-message request', {
+            keyId: req.apiKey.id,
+            to,
+            messageLength: message ? message.length : 0,
+            template,
+            sender,
+            type
+        });
+
+        // validate and sanitize payload using helpers
+        const validation = validateSendMessagePayload(req.body);
+        if (!validation.isValid) {
+            logger.warn('send-message validation failed', { errors: validation.errors, keyId: req.apiKey.id });
+            return res.status(400).json({
+                status: false,
+                errors: validation.errors
+            });
+        }
+
+        const idempotency = resolveIdempotency(req, res);
+        if (!idempotency) {
+            return;
+        }
+
+        const session = resolveSession(req, res);
+        if (!session) {
+            return;
+        }
+
+        // Locations, contacts and polls carry their own fields instead of text
+        const richType = RICH_MESSAGE_TYPES.includes(type) ? type : null;
+
+        // Templates and blocks become plain text before sanitizing, like a caller-supplied message
+        let text = message;
+        if (richType) {
+            text = null;
+        } else if (template !== undefined) {
+            text = renderRequestTemplate(res, template, variables);
+            if (text === null) {
+                return;
+            }
+        } else if (blocks !== undefined) {
+            text = renderBlocks(blocks);
+            if (text.length > getMaxMessageLength()) {
+                return res.status(400).json({
+                    status: false,
+                    error: `Formatted message is too long (max ${getMaxMessageLength()} characters)`
+                });
+            }
+        }
+
+        const schedule = resolveSchedule(req, res);
+        if (!schedule) {
+            return;
+        }
+
+        // Async and scheduled sends are persisted and go out once the client is ready
+        const asyncMode = wantsAsyncResponse(req) || Boolean(schedule.sendAt);
+
+        // Check if WhatsApp client is ready
+        if (!asyncMode && !session.ready) {
+            logger.warn('send-message rejected: client not ready', {
+                keyId: req.apiKey.id,
+                session: session.id,
+                ready: session.ready,
+                attempts: session.initializationAttempts
+            });
+            return res.status(503).json({
+                status: false,
+                error: 'WhatsApp client is not ready. Please wait for initialization or scan QR code.',
+                session: session.id,
+                ready: session.ready,
+                attempts: session.initializationAttempts
+            });
+        }
+
+        // Format phone number, or take the group as is
+        const recipient = parseRecipient(to, country);
+        if (recipient.error) {
+            return res.status(400).json({
+                status: false,
+                error: recipient.error
+            });
+        }
+
+        // Prepare message content (strip control and invisible characters)
+        let messageContent = richType ? null : sanitizeMessage(text);
+        const senderLabel = sender ? sanitizeMessage(sender) : null;
+        if (senderLabel && messageContent !== null) {
+            messageContent = `*${senderLabel}*\n\n${messageContent}`;
+        }
+
+        const chatId = await resolveRecipient(req, res, session, recipient);
+        if (!chatId) {
+            return;
+        }
+        const target = recipient.phone || chatId;
+
+        // Log the message attempt
+        logger.info(`Attempting to send message to ${target}`, {
+            session: session.id,
+            to: target,
+            sender: senderLabel || 'Unknown',
+            type: type || 'direct_message',
+            messageLength: messageContent ? messageContent.length : 0,
+            async: asyncMode
+        });
+
+        const jobMeta = {
+            to: target,
+            sender: sender || 'System',
+            type: type || 'direct_message',
+            apiKeyId: req.apiKey.id,
+            ...resolveQueueOptions(req.body, schedule, 'transactional'),
+            ...(richType ? richMessageFields(richType, req.body, country) : {})
+        };
+        if (replyTo) {
+            jobMeta.quotedMessageId = replyTo;
+        }
+        if (mentions) {
+            jobMeta.mentions = [...new Set(mentions.map(mention => parseRecipient(mention, country).chatId))];
+        }
+
+        return await submitMessageJob(req, res, {
+            session,
+            chatId,
+            message: messageContent,
+            meta: jobMeta,
+            asyncMode,
+            schedule,
+            idempotency
+        });
+    } catch (error) {
+        logger.error('Error sending WhatsApp message:', {
+            error: error.message,
+            stack: error.stack,
+            to: req.body.to
+        });
+
+        return res.status(500).json({
+            status: false,
+            error: 'Failed to send message',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Multipart uploads are buffered in memory, then copied to the media store
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxMediaSize(), files: 1 }
+});
+
+// Parse an optional multipart "file" field and turn multer errors into 4xx responses
+function handleMediaUpload(req, res, next) {
+    mediaUpload.single('file')(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                status: false,
+                error: tooLarge
+                    ? `Media file is too large (max ${Math.round(getMaxMediaSize() / 1024 / 1024)} MB)`
+                    : error.message
+            });
+        }
+        next(error);
+    });
+}
+
+// Send media endpoint (multipart upload, base64 or local file path)
+apiRouter.post('/send-media', requireScope('send'), rejectWhileShuttingDown, handleMediaUpload, async (req, res) => {
+    try {
+        const { to, caption, filename, mimetype, sender, type, country } = req.body;
+        const source = req.file ? 'upload' : (req.body.media ? 'base64' : (req.body.path ? 'path' : null));
+
+        logger.info('Received send-media request', {
+            keyId: req.apiKey.id,
+            to,
+            source,
+            captionLength: caption ? caption.length : 0,
+            sender,
+            type
+        });
+
+        const validation = validateSendMediaPayload(req.body, req.file);
+        if (!validation.isValid) {
+            logger.warn('send-media validation failed', { errors: validation.errors, keyId: req.apiKey.id, source });
+            return res.status(400).json({
+                status: false,
+                errors: validation.errors
+            });
+        }
+
+        const idempotency = resolveIdempotency(req, res);
+        if (!idempotency) {
+            return;
+        }
+
+        const session = resolveSession(req, res);
+        if (!session) {
+            return;
+        }
+
+        const schedule = resolveSchedule(req, res);
+        if (!schedule) {
+            return;
+        }
+
+        // Async and scheduled sends are persisted and go out once the client is ready
+        const asyncMode = wantsAsyncResponse(req) || Boolean(schedule.sendAt);
+
+        if (!asyncMode && !session.ready) {
+            logger.warn('send-media rejected: client not ready', {
+                keyId: req.apiKey.id,
+                session: session.id,
+                ready: session.ready,
+                attempts: session.initializationAttempts
+            });
+            return res.status(503).json({
+                status: false,
+                error: 'WhatsApp client is not ready. Please wait for initialization or scan QR code.',
+                session: session.id,
+                ready: session.ready,
+                attempts: session.initializationAttempts
+            });
+        }
+
+        const recipient = parseRecipient(to, country);
+        if (recipient.error) {
+            return res.status(400).json({
+                status: false,
+                error: recipient.error
+            });
+        }
+
+        const chatId = await resolveRecipient(req, res, session, recipient);
+        if (!chatId) {
+            return;
+        }
+        const target = recipient.phone || chatId;
+
+        // Load the media from whichever source the caller used
+        let buffer;
+        let declaredType = mimetype;
+        let mediaName = filename;
+
+        if (req.file) {
+            buffer = req.file.buffer;
+            declaredType = declaredType || req.file.mimetype;
+            mediaName = mediaName || req.file.originalname;
+        } else if (req.body.media) {
+            const parsed = parseBase64Media(req.body.media);
+            buffer = Buffer.from(parsed.data, 'base64');
+            declaredType = declaredType || parsed.mimetype;
+        } else {
+            try {
+                buffer = mediaStore.readLocalFile(req.body.path, getMaxMediaSize());
+            } catch (error) {
+                return res.status(400).json({
+                    status: false,
+                    error: error.message
+                });
+            }
+            mediaName = mediaName || path.basename(req.body.path);
+        }
+
+        const resolvedType = resolveMediaMimeType(declaredType, mediaName);
+        const mediaErrors = validateMediaFile({ mimetype: resolvedType, size: buffer.length });
+        if (mediaErrors.length > 0) {
+            logger.warn('send-media rejected media file', { errors: mediaErrors, to: target, mimetype: resolvedType });
+            return res.status(400).json({
+                status: false,
+                errors: mediaErrors
+            });
+        }
+
+        // Caption goes through the same sanitization as text messages
+        let captionContent = sanitizeMessage(caption);
+        const senderLabel = sender ? sanitizeMessage(sender) : null;
+        if (senderLabel) {
+            captionContent = captionContent ? `*${senderLabel}*\n\n${captionContent}` : `*${senderLabel}*`;
+        }
+
+        const asDocument = isTruthyFlag(req.body.as_document);
+        logger.info(`Attempting to send media to ${target}`, {
+            session: session.id,
+            to: target,
+            mimetype: resolvedType,
+            size: buffer.length,
+            asDocument,
+            async: asyncMode
+        });
+
+        return await submitMessageJob(req, res, {
+            session,
+            chatId,
+            message: captionContent,
+            meta: {
+                to: target,
+                sender: sender || 'System',
+                type: type || 'media_message',
+                apiKeyId: req.apiKey.id,
+                ...resolveQueueOptions(req.body, schedule, 'transactional'),
+                media: {
+                    file: mediaStore.save(buffer),
+                    mimetype: resolvedType,
+                    filename: mediaName || null,
+                    size: buffer.length,
+                    asDocument
+                }
+            },
+            asyncMode,
+            schedule,
+            idempotency
+        });
+    } catch (error) {
+        logger.error('Error sending WhatsApp media:', {
+            error: error.message,
+            stack: error.stack,
+            to: req.body.to
+        });
+
+        return res.status(500).json({
+            status: false,
+            error: 'Failed to send media',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Broadcast endpoint: one message (optionally with per-recipient variables) to many numbers
+apiRouter.post('/broadcast', requireScope('send'), rejectWhileShuttingDown, (req, res) => {
+    const validation = validateBroadcastPayload(req.body);
+    if (!validation.isValid) {
+        return res.status(400).json({
+            status: false,
+            errors: validation.errors
+        });
+    }
+
+    const idempotency = resolveIdempotency(req, res);
+    if (!idempotency) {
+        return;
+    }
+
+    const session = resolveSession(req, res);
+    if (!session) {
+        return;
+    }
+
+    const { recipients, message, template, variables, name, sender, type, country } = req.body;
+    const senderLabel = sender ? sanitizeMessage(sender) : null;
+
+    // A stored template works like an inline message; its defaults sit under the shared variables
+    const storedTemplate = template !== undefined ? templates.get(template) : null;
+    if (template !== undefined && !storedTemplate) {
+        return res.status(404).json({
+            status: false,
+            error: `Template "${template}" not found`
+        });
+    }
+    const body = storedTemplate ? storedTemplate.body : message;
+    const sharedVariables = storedTemplate ? { ...storedTemplate.defaults, ...variables } : variables;
+
+    // Resolve and render every recipient up front so a bad entry rejects the whole campaign
+    const errors = [];
+    const jobs = [];
+    const queueOptions = resolveQueueOptions(req.body, null, 'bulk');
+    const seen = new Set();
+    let duplicates = 0;
+
+    recipients.forEach((recipient, index) => {
+        const entry = typeof recipient === 'string' ? { to: recipient } : recipient;
+
+        const { chatId, phone, inviteCode, error } = parseRecipient(entry.to, entry.country || country);
+        if (error) {
+            errors.push(`recipients[${index}]: ${error}`);
+            return;
+        }
+        if (inviteCode) {
+            errors.push(`recipients[${index}]: invite links can't be used in a broadcast, use the group id (see GET /groups)`);
+            return;
+        }
+        if (seen.has(chatId)) {
+            duplicates++;
+            return;
+        }
+        seen.add(chatId);
+
+        let rendered;
+        try {
+            rendered = renderTemplate(body, { ...sharedVariables, ...entry.variables });
+        } catch (error) {
+            if (!(error instanceof TemplateSyntaxError)) {
+                throw error;
+            }
+            errors.push(`recipients[${index}]: ${error.message}`);
+            return;
+        }
+        if (rendered.missing.length > 0) {
+            errors.push(`recipients[${index}]: missing variables ${rendered.missing.join(', ')}`);
+            return;
+        }
+
+        let messageContent = sanitizeMessage(rendered.text);
+        if (senderLabel) {
+            messageContent = `*${senderLabel}*\n\n${messageContent}`;
+        }
+        if (messageContent.length > getMaxMessageLength()) {
+            errors.push(`recipients[${index}]: message is too long after filling variables (max ${getMaxMessageLength()} characters)`);
+            return;
+        }
+
+        jobs.push({
+            session: session.id,
+            chatId,
+            message: messageContent,
+            to: phone || chatId,
+            sender: sender || 'System',
+            type: type || 'broadcast',
+            apiKeyId: req.apiKey.id,
+            ...queueOptions
+        });
+    });
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            status: false,
+            errors
+        });
+    }
+
+    const campaign = campaigns.create({
+        name: name || null,
+        session: session.id,
+        total: jobs.length,
+        sender: sender || 'System',
+        type: type || 'broadcast',
+        apiKeyId: req.apiKey.id
+    });
+    jobStore.createMany(jobs.map(job => ({ ...job, campaignId: campaign.id })));
+    idempotency.remember({ campaignId: campaign.id });
+    session.processQueue();
+
+    logger.info('Broadcast campaign queued', {
+        keyId: req.apiKey.id,
+        session: session.id,
+        campaignId: campaign.id,
+        recipients: jobs.length,
+        duplicates
+    });
+
+    return res.status(202).json({
+        status: true,
+        message: `Broadcast ke ${jobs.length} nomor masuk antrian`,
+        data: {
+            ...serializeCampaign(campaign),
+            duplicatesSkipped: duplicates,
+            statusUrl: `${req.baseUrl}/broadcast/${campaign.id}`
+        }
+    });
+});
+
+// List broadcast campaigns endpoint
+apiRouter.get('/broadcast', requireScope('read'), (req, res) => {
+    return res.json({
+        status: true,
+        data: campaigns.list(req.query.session).map(serializeCampaign)
+    });
+});
+
+// Look up a campaign by the :id route parameter. Sends a 404 and returns null when unknown.
+function resolveCampaign(req, res) {
+    const campaign = campaigns.get(req.params.id);
+    if (!campaign) {
+        res.status(404).json({
+            status: false,
+            error: `Campaign not found: ${req.params.id}`
+        });
+        return null;
+    }
+    return campaign;
+}
+
+// Broadcast campaign status endpoint (per-recipient outcomes)
+apiRouter.get('/broadcast/:id', requireScope('read'), (req, res) => {
+    const campaign = resolveCampaign(req, res);
+    if (!campaign) {
+        return;
+    }
+
+    const recipients = jobStore.listByCampaign(campaign.id, req.query.status).map(job => ({
+        jobId: job.id,
+        to: job.to,
+        status: job.state,
+        messageId: job.messageId,
+        ack: job.ack || null,
+        attempts: job.attempts,
+        lastError: job.lastError,
+        updatedAt: job.updatedAt
+    }));
+
+    return res.json({
+        status: true,
+        data: {
+            ...serializeCampaign(campaign),
+            recipients
+        }
+    });
+});
+
+// Pause a broadcast: queued messages are held until it is resumed
+apiRouter.post('/broadcast/:id/pause', requireScope('send'), (req, res) => {
+    const campaign = resolveCampaign(req, res);
+    if (!campaign) {
+        return;
+    }
+    if (campaign.state !== CAMPAIGN_STATES.RUNNING) {
+        return res.status(409).json({
+            status: false,
+            error: `Campaign is ${campaign.state}, only running campaigns can be paused`
+        });
+    }
+
+    const held = jobStore.updateMany(jobStore.listByCampaign(campaign.id, JOB_STATES.QUEUED), {
+        state: JOB_STATES.PAUSED
+    });
+    const paused = campaigns.update(campaign.id, { state: CAMPAIGN_STATES.PAUSED });
+    logger.info('Broadcast campaign paused', { keyId: req.apiKey.id, campaignId: campaign.id, held: held.length });
+
+    return res.json({
+        status: true,
+        message: 'Campaign paused',
+        data: serializeCampaign(paused)
+    });
+});
+
+// Resume a paused broadcast
+apiRouter.post('/broadcast/:id/resume', requireScope('send'), rejectWhileShuttingDown, (req, res) => {
+    const campaign = resolveCampaign(req, res);
+    if (!campaign) {
+        return;
+    }
+    if (campaign.state !== CAMPAIGN_STATES.PAUSED) {
+        return res.status(409).json({
+            status: false,
+            error: `Campaign is ${campaign.state}, only paused campaigns can be resumed`
+        });
+    }
+
+    const session = sessions.get(campaign.session);
+    if (!session) {
+        return res.status(409).json({
+            status: false,
+            error: `Session ${campaign.session} no longer exists`
+        });
+    }
+
+    jobStore.updateMany(jobStore.listByCampaign(campaign.id, JOB_STATES.PAUSED), {
+        state: JOB_STATES.QUEUED
+    });
+    const resumed = campaigns.update(campaign.id, { state: CAMPAIGN_STATES.RUNNING });
+    session.processQueue();
+    logger.info('Broadcast campaign resumed', { keyId: req.apiKey.id, campaignId: campaign.id });
+
+    // Everything may have been sent before the pause took effect
+    checkCampaignCompletion(campaign.id);
+
+    return res.json({
+        status: true,
+        message: 'Campaign resumed',
+        data: serializeCampaign(campaigns.get(campaign.id) || resumed)
+    });
+});
+
+// Cancel a broadcast: messages not yet sent are dropped
+apiRouter.post('/broadcast/:id/cancel', requireScope('send'), (req, res) => {
+    const campaign = resolveCampaign(req, res);
+    if (!campaign) {
+        return;
+    }
+    if (FINISHED_CAMPAIGN_STATES.includes(campaign.state)) {
+        return res.status(409).json({
+            status: false,
+            error: `Campaign is already ${campaign.state}`
+        });
+    }
+
+    const cancelledJobs = jobStore.updateMany(
+        jobStore.listByCampaign(campaign.id, [JOB_STATES.QUEUED, JOB_STATES.PAUSED]),
+        { state: JOB_STATES.CANCELLED, lastError: 'Campaign cancelled' }
+    );
+    const cancelled = campaigns.update(campaign.id, {
+        state: CAMPAIGN_STATES.CANCELLED,
+        finishedAt: new Date().toISOString(),
+        summary: campaignCounts(campaign)
+    });
+    logger.info('Broadcast campaign cancelled', { keyId: req.apiKey.id, campaignId: campaign.id, cancelled: cancelledJobs.length });
+
+    return res.json({
+        status: true,
+        message: `Campaign cancelled, ${cancelledJobs.length} messages will not be sent`,
+        data: serializeCampaign(cancelled)
+    });
+});
+
+// Largest batch POST /check-numbers accepts in one request
+const MAX_NUMBER_CHECK_BATCH = 50;
+
+// Number existence check endpoint
+apiRouter.post('/check-numbers', requireScope('send'), async (req, res) => {
+    const { numbers, country } = req.body;
+
+    if (!Array.isArray(numbers) || numbers.length === 0) {
+        return res.status(400).json({
+            status: false,
+            error: 'Field "numbers" must be a non-empty array'
+        });
+    }
+    if (numbers.length > MAX_NUMBER_CHECK_BATCH) {
+        return res.status(400).json({
+            status: false,
+            error: `Field "numbers" may contain at most ${MAX_NUMBER_CHECK_BATCH} numbers`
+        });
+    }
+    if (country !== undefined && typeof country !== 'string') {
+        return res.status(400).json({
+            status: false,
+            error: 'Field "country" must be a string'
+        });
+    }
+
+    const session = resolveSession(req, res);
+    if (!session) {
+        return;
+    }
+    if (!session.ready) {
+        return res.status(503).json({
+            status: false,
+            error: 'WhatsApp client is not ready. Please wait for initialization or scan QR code.',
+            session: session.id
+        });
+    }
+
+    // One at a time, WhatsApp rate limits bursts of lookups
+    const results = [];
+    for (const input of numbers) {
+        const { phone, error } = parsePhoneNumber(typeof input === 'string' ? input : null, country);
+        if (!phone) {
+            results.push({ input, valid: false, registered: false, wid: null, error });
+            continue;
+        }
+
+        try {
+            const lookup = await session.checkNumber(phone);
+            results.push({ input, valid: true, phone, ...lookup });
+        } catch (lookupError) {
+            logger.warn('Number check failed', { session: session.id, phone, error: lookupError.message });
+            results.push({ input, valid: true, phone, registered: null, wid: null, error: lookupError.message });
+        }
+    }
+
+    return res.json({
+        status: true,
+        session: session.id,
+        data: results
+    });
+});
+
+// List scheduled messages endpoint
+apiRouter.get('/scheduled', requireScope('read'), (req, res) => {
+    const jobs = jobStore.list(JOB_STATES.SCHEDULED, req.query.session)
+        .sort((a, b) => Date.parse(a.sendAt) - Date.parse(b.sendAt));
+
+    return res.json({
+        status: true,
+        data: jobs.map(serializeJob)
+    });
+});
+
+// Cancel a scheduled message endpoint
+apiRouter.delete('/scheduled/:id', requireScope('send'), (req, res) => {
+    const job = jobStore.get(req.params.id);
+    if (!job || !job.sendAt) {
+        return res.status(404).json({
+            status: false,
+            error: `Scheduled message not found: ${req.params.id}`
+        });
+    }
+    if (job.state !== JOB_STATES.SCHEDULED) {
+        return res.status(409).json({
+            status: false,
+            error: `Message is already ${job.state} and can no longer be cancelled`
+        });
+    }
+
+    const cancelled = jobStore.update(job.id, {
+        state: JOB_STATES.CANCELLED,
+        lastError: 'Schedule cancelled'
+    });
+    scheduler.run();
+    logger.info('Scheduled message cancelled', { keyId: req.apiKey.id, jobId: job.id, session: job.session });
+
+    return res.json({
+        status: true,
+        message: 'Scheduled message cancelled',
+        data: serializeJob(cancelled)
+    });
+});
+
+// Most participants one group request may add or remove
+const MAX_GROUP_PARTICIPANTS_BATCH = 50;
+
+// Session for a group request; sends a 404/503 and returns null unless it exists and is ready
+function resolveReadySession(req, res) {
+    const session = resolveSession(req, res);
+    if (!session) {
+        return null;
+    }
+    if (!session.ready) {
+        res.status(503).json({
+            status: false,
+            error: 'WhatsApp client is not ready. Please wait for initialization or scan QR code.',
+            session: session.id
+        });
+        return null;
+    }
+    return session;
+}
+
+// Group id from the URL; the "@g.us" suffix may be left out
+function groupIdParam(req) {
+    const id = req.params.id;
+    return id.endsWith('@g.us') ? id : `${id}@g.us`;
+}
+
+// Turn the "participants" field into contact ids. Sends a 400 and returns null when invalid.
+function parseParticipants(req, res, { required = true } = {}) {
+    const { participants, country } = req.body;
+
+    if (participants === undefined && !required) {
+        return [];
+    }
+    if (!Array.isArray(participants) || participants.length === 0) {
+        res.status(400).json({
+            status: false,
+            error: 'Field "participants" must be a non-empty array of phone numbers'
+        });
+        return null;
+    }
+    if (participants.length > MAX_GROUP_PARTICIPANTS_BATCH) {
+        res.status(400).json({
+            status: false,
+            error: `Field "participants" may contain at most ${MAX_GROUP_PARTICIPANTS_BATCH} entries`
+        });
+        return null;
+    }
+    if (country !== undefined && typeof country !== 'string') {
+        res.status(400).json({
+            status: false,
+            error: 'Field "country" must be a string'
+        });
+        return null;
+    }
+
+    const errors = [];
+    const ids = participants.map((input, index) => {
+        const recipient = parseRecipient(typeof input === 'string' ? input : null, country);
+        if (recipient.error || recipient.group) {
+            errors.push(`participants[${index}]: ${recipient.error || 'must be a phone number, not a group'}`);
+        }
+        return recipient.chatId;
+    });
+
+    if (errors.length > 0) {
+        res.status(400).json({
+            status: false,
+            errors
+        });
+        return null;
+    }
+    return [...new Set(ids)];
+}
+
+// List groups endpoint
+apiRouter.get('/groups', requireScope('read'), async (req, res) => {
+    const session = resolveReadySession(req, res);
+    if (!session) {
+        return;
+    }
+
+    try {
+        const groups = await session.listGroups();
+        return res.json({
+            status: true,
+            session: session.id,
+            data: groups
+        });
+    } catch (error) {
+        logger.error('Error listing groups:', { session: session.id, error: error.message });
+        return res.status(500).json({
+            status: false,
+            error: 'Failed to list groups',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Group metadata endpoint
+apiRouter.get('/groups/:id', requireScope('read'), async (req, res) => {
+    const session = resolveReadySession(req, res);
+    if (!session) {
+        return;
+    }
+
+    const groupId = groupIdParam(req);
+    try {
+        const group = await session.getGroup(groupId);
+        if (!group) {
+            return res.status(404).json({
+                status: false,
+                error: `Group not found: ${groupId}`
+            });
+        }
+
+        return res.json({
+            status: true,
+            session: session.id,
+            data: group
+        });
+    } catch (error) {
+        logger.error('Error reading group:', { session: session.id, groupId, error: error.message });
+        return res.status(500).json({
+            status: false,
+            error: 'Failed to read group',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Create group endpoint
+apiRouter.post('/groups', requireScope('admin'), async (req, res) => {
+    const { name } = req.body;
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({
+            status: false,
+            error: 'Field "name" is required'
+        });
+    }
+    if (name.length > 100) {
+        return res.status(400).json({
+            status: false,
+            error: 'Field "name" is too long (max 100 characters)'
+        });
+    }
+
+    const participants = parseParticipants(req, res, { required: false });
+    if (!participants) {
+        return;
+    }
+
+    const session = resolveReadySession(req, res);
+    if (!session) {
+        return;
+    }
+
+    try {
+        const group = await session.createGroup(name.trim(), participants);
+        logger.info('Group created', { keyId: req.apiKey.id, session: session.id, groupId: group.id });
+
+        return res.status(201).json({
+            status: true,
+            message: 'Grup berhasil dibuat',
+            session: session.id,
+            data: group
+        });
+    } catch (error) {
+        logger.error('Error creating group:', { session: session.id, error: error.message });
+        return res.status(500).json({
+            status: false,
+            error: 'Failed to create group',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Add group participants endpoint
+apiRouter.post('/groups/:id/participants', requireScope('admin'), async (req, res) => {
+    const participants = parseParticipants(req, res);
+    if (!participants) {
+        return;
+    }
+
+    const session = resolveReadySession(req, res);
+    if (!session) {
+        return;
+    }
+
+    const groupId = groupIdParam(req);
+    try {
+        const results = await session.addGroupParticipants(groupId, participants);
+        if (!results) {
+            return res.status(404).json({
+                status: false,
+                error: `Group not found: ${groupId}`
+            });
+        }
+        logger.info('Group participants added', { keyId: req.apiKey.id, session: session.id, groupId, count: participants.length });
+
+        return res.json({
+            status: true,
+            session: session.id,
+            data: results
+        });
+    } catch (error) {
+        logger.error('Error adding group participants:', { session: session.id, groupId, error: error.message });
+        return res.status(500).json({
+            status: false,
+            error: 'Failed to add participants',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Remove group participants endpoint
+apiRouter.delete('/groups/:id/participants', requireScope('admin'), async (req, res) => {
+    const participants = parseParticipants(req, res);
+    if (!participants) {
+        return;
+    }
+
+    const session = resolveReadySession(req, res);
+    if (!session) {
+        return;
+    }
+
+    const groupId = groupIdParam(req);
+    try {
+        const group = await session.removeGroupParticipants(groupId, participants);
+        if (!group) {
+            return res.status(404).json({
+                status: false,
+                error: `Group not found: ${groupId}`
+            });
+        }
+        logger.info('Group participants removed', { keyId: req.apiKey.id, session: session.id, groupId, count: participants.length });
+
+        return res.json({
+            status: true,
+            session: session.id,
+            data: group
+        });
+    } catch (error) {
+        logger.error('Error removing group participants:', { session: session.id, groupId, error: error.message });
+        return res.status(500).json({
+            status: false,
+            error: 'Failed to remove participants',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// List templates endpoint
+apiRouter.get('/templates', requireScope('read'), (req, res) => {
+    return res.json({
+        status: true,
+        data: templates.list()
+    });
+});
+
+// Template detail endpoint
+apiRouter.get('/templates/:name', requireScope('read'), (req, res) => {
+    const template = templates.get(req.params.name);
+    if (!template) {
+        return res.status(404).json({
+            status: false,
+            error: `Template "${req.params.name}" not found`
+        });
+    }
+
+    return res.json({
+        status: true,
+        data: template
+    });
+});
+
+// Create template endpoint
+apiRouter.post('/templates', requireScope('admin'), (req, res) => {
+    const validation = validateTemplatePayload(req.body);
+    if (!validation.isValid) {
+        return res.status(400).json({
+            status: false,
+            errors: validation.errors
+        });
+    }
+    if (templates.get(req.body.name)) {
+        return res.status(409).json({
+            status: false,
+            error: `Template "${req.body.name}" already exists, use PUT to replace it`
+        });
+    }
+
+    const template = templates.save(req.body);
+    logger.info('Template created', { keyId: req.apiKey.id, template: template.name });
+
+    return res.status(201).json({
+        status: true,
+        message: 'Template created',
+        data: template
+    });
+});
+
+// Create or replace template endpoint
+apiRouter.put('/templates/:name', requireScope('admin'), (req, res) => {
+    const payload = { ...req.body, name: req.params.name };
+    const validation = validateTemplatePayload(payload);
+    if (!validation.isValid) {
+        return res.status(400).json({
+            status: false,
+            errors: validation.errors
+        });
+    }
+
+    const existed = Boolean(templates.get(payload.name));
+    const template = templates.save(payload);
+    logger.info(existed ? 'Template updated' : 'Template created', { keyId: req.apiKey.id, template: template.name });
+
+    return res.status(existed ? 200 : 201).json({
+        status: true,
+        message: existed ? 'Template updated' : 'Template created',
+        data: template
+    });
+});
+
+// Delete template endpoint
+apiRouter.delete('/templates/:name', requireScope('admin'), (req, res) => {
+    if (!templates.remove(req.params.name)) {
+        return res.status(404).json({
+            status: false,
+            error: `Template "${req.params.name}" not found`
+        });
+    }
+
+    logger.info('Template deleted', { keyId: req.apiKey.id, template: req.params.name });
+    return res.json({
+        status: true,
+        message: 'Template deleted'
+    });
+});
+
+// Preview a rendered template without sending it
+apiRouter.post('/templates/:name/render', requireScope('read'), (req, res) => {
+    const variables = req.body.variables;
+    if (variables !== undefined && (variables === null || typeof variables !== 'object' || Array.isArray(variables))) {
+        return res.status(400).json({
+            status: false,
+            error: 'Field "variables" must be an object'
+        });
+    }
+
+    const text = renderRequestTemplate(res, req.params.name, variables);
+    if (text === null) {
+        return;
+    }
+
+    return res.json({
+        status: true,
+        data: {
+            template: req.params.name,
+            text
+        }
+    });
+});
+
+// Inbound messages endpoint (cursor-based polling)
+apiRouter.get('/messages/inbox', requireScope('read'), (req, res) => {
+    const after = req.query.after !== undefined ? Number(req.query.after) : 0;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+
+    const errors = [];
+    if (!Number.isInteger(after) || after < 0) {
+        errors.push('Query "after" must be a non-negative integer');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        errors.push('Query "limit" must be an integer between 1 and 200');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({
+            status: false,
+            errors
+        });
+    }
+
+    const page = inbox.list({ after, limit, chatId: req.query.chat_id, session: req.query.session });
+
+    return res.json({
+        status: true,
+        data: page.messages,
+        pagination: {
+            limit,
+            next_cursor: page.nextCursor,
+            has_more: page.hasMore
+        }
+    });
+});
+
+// Split a comma-separated query value into a list
+function queryList(value) {
+    if (value === undefined) {
+        return null;
+    }
+    const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    return items.length > 0 ? items : null;
+}
+
+// Message history search and export (JSON page, or full CSV/JSON download)
+apiRouter.get('/messages', requireScope('read'), (req, res) => {
+    const { recipient, since, until, direction, session, key_id: apiKeyId, country } = req.query;
+    const format = req.query.format || null;
+    const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+
+    const errors = [];
+    const sinceDate = since !== undefined ? new Date(since) : null;
+    const untilDate = until !== undefined ? new Date(until) : null;
+    if (sinceDate && Number.isNaN(sinceDate.getTime())) {
+        errors.push('Query "since" must be an ISO 8601 date or timestamp');
+    }
+    if (untilDate && Number.isNaN(untilDate.getTime())) {
+        errors.push('Query "until" must be an ISO 8601 date or timestamp');
+    }
+    if (direction !== undefined && direction !== 'outbound' && direction !== 'inbound') {
+        errors.push('Query "direction" must be "outbound" or "inbound"');
+    }
+    if (format !== null && format !== 'csv' && format !== 'json') {
+        errors.push('Query "format" must be "csv" or "json"');
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        errors.push('Query "offset" must be a non-negative integer');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        errors.push('Query "limit" must be an integer between 1 and 200');
+    }
+
+    // Match the number however it was written, as well as the raw value (group ids, contact ids)
+    let chatIds = null;
+    if (recipient !== undefined) {
+        const parsed = parseRecipient(String(recipient), country);
+        chatIds = [String(recipient).trim(), parsed.chatId, parsed.phone].filter(Boolean);
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            status: false,
+            errors
+        });
+    }
+
+    const filters = {
+        chatIds,
+        since: sinceDate,
+        until: untilDate,
+        types: queryList(req.query.type),
+        statuses: queryList(req.query.status),
+        direction,
+        session,
+        apiKeyId
+    };
+
+    // Exports ignore paging and return every match
+    if (format) {
+        const { messages } = messageHistory.search(filters);
+        const filename = `messages-${new Date().toISOString().slice(0, 10)}.${format}`;
+        logger.info('Message history exported', { keyId: req.apiKey.id, format, count: messages.length });
+
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'csv') {
+            return res.type('text/csv').send(messageHistory.toCsv(messages));
+        }
+        return res.json({
+            status: true,
+            data: messages
+        });
+    }
+
+    const page = messageHistory.search({ ...filters, offset, limit });
+
+    return res.json({
+        status: true,
+        data: page.messages,
+        pagination: {
+            offset,
+            limit,
+            total: page.total,
+            has_more: offset + page.messages.length < page.total
+        }
+    });
+});
+
+// Job status endpoint
+apiRouter.get('/messages/:jobId', requireScope('read'), (req, res) => {
+    const job = jobStore.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({
+            status: false,
+            error: 'Job not found'
+        });
+    }
+
+    return res.json({
+        status: true,
+        data: serializeJob(job)
+    });
+});
+
+// Webhook outbox status endpoint
+apiRouter.get('/webhooks', requireScope('read'), (req, res) => {
+    return res.json({
+        status: true,
+        data: webhooks.stats()
+    });
+});
+
+// Redeliver webhooks that exhausted their retries
+apiRouter.post('/webhooks/retry', requireScope('admin'), (req, res) => {
+    const requeued = webhooks.retryFailed();
+    logger.info(`Requeued ${requeued} failed webhook deliveries`, { keyId: req.apiKey.id });
+
+    return res.json({
+        status: true,
+        message: `Requeued ${requeued} failed webhook deliveries`
+    });
+});
+
+// Get client info endpoint
+apiRouter.get('/client-info', requireScope('read'), async (req, res) => {
+    try {
+        const session = resolveSession(req, res);
+        if (!session) {
+            return;
+        }
+
+        const info = session.info();
+        if (!info) {
+            return res.status(503).json({
+                status: false,
+                error: 'WhatsApp client is not ready',
+                session: session.id,
+                ready: session.ready,
+                attempts: session.initializationAttempts
+            });
+        }
+
+        return res.json({
+            status: true,
+            data: {
+                ...info,
+                session: session.id,
+                connected: true,
+                ready: session.ready
+            }
+        });
+    } catch (error) {
+        logger.error('Error getting client info:', { error: error.message });
+        return res.status(500).json({
+            status: false,
+            error: 'Failed to get client information'
+        });
+    }
+});
+
+// Restart WhatsApp client endpoint
+apiRouter.post('/restart-client', requireScope('admin'), async (req, res) => {
+    try {
+        const session = resolveSession(req, res);
+        if (!session) {
+            return;
+        }
+
+        logger.info('Manually restarting WhatsApp client...', { keyId: req.apiKey.id, session: session.id });
+
+        const success = await session.restart();
+
+        return res.json({
+            status: true,
+            message: 'WhatsApp client restart initiated',
+            session: session.id,
+            success: success
+        });
+    } catch (error) {
+        logger.error('Error restarting WhatsApp client:', { error: error.message });
+        return res.status(500).json({
+            status: false,
+            error: 'Failed to restart WhatsApp client'
+        });
+    }
+});
+
+// Session recovery endpoint
+apiRouter.post('/recover-session', requireScope('admin'), async (req, res) => {
+    try {
+        const session = resolveSession(req, res);
+        if (!session) {
+            return;
+        }
+
+        logger.info('Manual session recovery requested...', { keyId: req.apiKey.id, session: session.id });
+
+        if (session.restartInProgress) {
+            return res.json({
+                status: false,
+                message: 'Session recovery already in progress'
+            });
+        }
+
+        await session.recover();
+
+        return res.json({
+            status: true,
+            message: 'Session recovery initiated',
+            session: session.id,
+            ready: session.ready
+        });
+    } catch (error) {
+        logger.error('Error during manual session recovery:', { error: error.message });
+        return res.status(500).json({
+            status: false,
+            error: 'Failed to recover session'
+        });
+    }
+});
+
+// Prometheus metrics endpoint
+apiRouter.get('/metrics', requireScope('read'), async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.contentType);
+        return res.send(await metrics.render());
+    } catch (error) {
+        logger.error('Error rendering metrics:', { error: error.message });
+        return res.status(500).json({
+            status: false,
+            error: 'Failed to render metrics'
+        });
+    }
+});
+
+// Queue status endpoint
+apiRouter.get('/queue-status', requireScope('read'), (req, res) => {
+    const session = resolveSession(req, res);
+    if (!session) {
+        return;
+    }
+
+    const pending = jobStore.list([JOB_STATES.QUEUED, JOB_STATES.SENDING], session.id);
+    const lanes = {};
+    PRIORITIES.forEach(priority => {
+        lanes[priority] = 0;
+    });
+    jobStore.list(JOB_STATES.QUEUED, session.id).forEach(job => lanes[jobPriority(job)]++);
+
+    return res.json({
+        status: true,
+        data: {
+            session: session.id,
+            queue_length: pending.length,
+            processing: session.processingQueue,
+            oldest_message: pending.length > 0 ? pending[0].createdAt : null,
+            jobs: jobStore.counts(session.id),
+            // Queued jobs per priority lane
+            lanes,
+            pacing: session.pacer.usage(),
+            session_healthy: session.checkHealth(),
+            last_health_check: session.lastHealthCheck,
+            restart_in_progress: session.restartInProgress
+        }
+    });
+});
+
+// Dead-letter jobs a requeue/purge request applies to: the listed `ids`, else all (optionally one session's)
+function selectDeadLetters(req, res) {
+    const { ids, session } = req.body || {};
+
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string'))) {
+        res.status(400).json({
+            status: false,
+            error: 'Field "ids" must be a non-empty array of job ids'
+        });
+        return null;
+    }
+    if (session !== undefined && typeof session !== 'string') {
+        res.status(400).json({
+            status: false,
+            error: 'Field "session" must be a string'
+        });
+        return null;
+    }
+
+    const deadLetters = jobStore.listDeadLetters(session);
+    if (!ids) {
+        return { jobs: deadLetters, notFound: [] };
+    }
+
+    const byId = new Map(deadLetters.map(job => [job.id, job]));
+    return {
+        jobs: ids.filter(id => byId.has(id)).map(id => byId.get(id)),
+        notFound: ids.filter(id => !byId.has(id))
+    };
+}
+
+// Dead-letter queue: jobs that failed permanently or ran out of retries
+apiRouter.get('/dead-letter', requireScope('read'), (req, res) => {
+    const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+
+    const errors = [];
+    if (!Number.isInteger(offset) || offset < 0) {
+        errors.push('Query "offset" must be a non-negative integer');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        errors.push('Query "limit" must be an integer between 1 and 200');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({
+            status: false,
+            errors
+        });
+    }
+
+    const jobs = jobStore.listDeadLetters(req.query.session);
+
+    return res.json({
+        status: true,
+        data: jobs.slice(offset, offset + limit).map(serializeJob),
+        pagination: {
+            offset,
+            limit,
+            total: jobs.length,
+            has_more: offset + limit < jobs.length
+        }
+    });
+});
+
+// Put dead-lettered jobs back in the queue with a fresh set of attempts
+apiRouter.post('/dead-letter/requeue', requireScope('admin'), rejectWhileShuttingDown, (req, res) => {
+    const selection = selectDeadLetters(req, res);
+    if (!selection) {
+        return;
+    }
 
-        // Format phone number
-        const formattedPhone = formatPhoneNumber(to);
-        if (!formattedPhone) {
-            return res.status(400).json({
-                status: false,
-                error: `Invalid phone number format: ${to}`
-            });
+    // A requeue is a deliberate decision to send, so the original time to live no longer applies
+    const requeued = jobStore.updateMany(selection.jobs, {
+        state: JOB_STATES.QUEUED,
+        attempts: 0,
+        lastError: null,
+        errorKind: null,
+        nextAttemptAt: null,
+        deadLetteredAt: null,
+        expiresAt: null
+    });
+    new Set(requeued.map(job => job.session)).forEach(id => {
+        const session = sessions.get(id);
+        if (session) {
+            session.processQueue();
         }
+    });
+    logger.info(`Requeued ${requeued.length} dead-lettered jobs`, { keyId: req.apiKey.id });
 
-        // Prepare message content (sanitize to prevent injection)
-        let messageContent = sanitizeMessage(message);
-        const senderLabel = sender ? sanitizeMessage(sender) : null;
-        if (senderLabel) {
-            messageContent = `*${senderLabel}*\n\n${messageContent}`;
+    return res.json({
+        status: true,
+        message: `Requeued ${requeued.length} jobs`,
+        data: {
+            requeued: requeued.map(job => job.id),
+            not_found: selection.notFound
         }
+    });
+});
 
-        // Log the message attempt
-        logger.info(`Attempting to send message to ${formattedPhone}`, {
-            to: formattedPhone,
-            sender: senderLabel || 'Unknown',
-            type: type || 'direct_message',
-            messageLength: messageContent.length
-        });
+// Delete dead-lettered jobs (and their stored media)
+apiRouter.delete('/dead-letter', requireScope('admin'), (req, res) => {
+    const selection = selectDeadLetters(req, res);
+    if (!selection) {
+        return;
+    }
 
-        // Send the message with retry mechanism
-        const chatId = `${formattedPhone}@c.us`;
-        let sentMessage;
-        
-        try {
-            // Check if session is healthy before sending
-            if (!checkSessionHealth()) {
-                logger.warn('Session unhealthy, attempting recovery before sending message');
-                await recoverSession();
-                
-                // Wait for recovery
-                let retryCount = 0;
-                while (!clientInitialized && retryCount < 30) {
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    retryCount++;
-                }
-                
-                if (!clientInitialized) {
-                    throw new Error('Failed to recover session within timeout');
-                }
-            }
-            
-            // Use queue system for more reliable message sending
-            sentMessage = await queueMessage(chatId, messageContent);
-            
-        } catch (error) {
-            // If queue fails, try direct send as fallback
-            if (error.message.includes('Session closed') || error.message.includes('Protocol error')) {
-                logger.warn('Session error detected, attempting direct recovery and retry...');
-                
-                try {
-                    await recoverSession();
-                    
-                    // Wait a bit for session to stabilize
-                    await new Promise(resolve => setTimeout(resolve, 5000));
-                    
-                    if (clientInitialized) {
-                        sentMessage = await client.sendMessage(chatId, messageContent);
-                    } else {
-                        throw new Error('Session recovery failed, cannot send message');
-                    }
-                } catch (recoveryError) {
-                    logger.error('Message sending failed even after recovery attempt:', recoveryError);
-                    throw recoveryError;
-                }
-            } else {
-                throw error;
-            }
+    const purged = jobStore.removeMany(selection.jobs);
+    logger.info(`Purged ${purged} dead-lettered jobs`, { keyId: req.apiKey.id });
+
+    return res.json({
+        status: true,
+        message: `Purged ${purged} jobs`,
+        data: {
+            purged,
+            not_found: selection.notFound
         }
+    });
+});
 
-        logger.info(`Message sent successfully to ${formattedPhone}`, {
-            messageId: sentMessage.id ? sentMessage.id.id : null,
-            timestamp: sentMessage.timestamp,
-            result: sentMessage
-        });
+// Clear message queue endpoint
+apiRouter.post('/clear-queue', requireScope('admin'), (req, res) => {
+    const session = resolveSession(req, res);
+    if (!session) {
+        return;
+    }
 
-        return res.json({
-            status: true,
-            message: 'Pesan berhasil dikirim',
-            data: {
-                messageId: sentMessage.id.id,
-                to: formattedPhone,
-                timestamp: sentMessage.timestamp,
-                sender: sender || 'System',
-                type: type || 'direct_message'
-            }
+    // Cleared jobs are kept as failed so their outcome can still be traced
+    const cleared = jobStore.list(JOB_STATES.QUEUED, session.id);
+    for (const job of cleared) {
+        jobStore.update(job.id, {
+            state: JOB_STATES.FAILED,
+            lastError: 'Cleared from queue'
         });
+        settleJobWaiter(job.id, new Error('Message cleared from queue'));
+    }
+    new Set(cleared.map(job => job.campaignId).filter(Boolean)).forEach(checkCampaignCompletion);
+    const clearedCount = cleared.length;
 
-    } catch (error) {
-        logger.error('Error sending WhatsApp message:', {
-            error: error.message,
-            stack: error.stack,
-            to: req.body.to
-        });
+    logger.info(`Cleared ${clearedCount} messages from queue`, { keyId: req.apiKey.id, session: session.id });
 
-        return res.status(500).json({
-            status: false,
-            error: 'Failed to send message',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
-    }
+    return res.json({
+        status: true,
+        message: `Cleared ${clearedCount} messages from queue`
+    });
 });
 
-// Get client info endpoint
-apiRouter.get('/client-info', async (req, res) => {
+// Logout endpoint
+apiRouter.post('/logout', requireScope('admin'), async (req, res) => {
     try {
-        if (!client || !clientInitialized) {
-            return res.status(503).json({
-                status: false,
-                error: 'WhatsApp client is not ready',
-                ready: clientInitialized,
-                attempts: initializationAttempts
-            });
+        const session = resolveSession(req, res);
+        if (!session) {
+            return;
         }
 
-        const info = client.info;
+        await session.logout();
+        logger.info('WhatsApp client logged out successfully', { keyId: req.apiKey.id, session: session.id });
+
         return res.json({
             status: true,
-            data: {
-                user: info.wid.user,
-                phone: info.wid.user,
-                name: info.pushname,
-                connected: true,
-                ready: clientInitialized
-            }
+            message: 'Logged out successfully'
         });
     } catch (error) {
-        logger.error('Error getting client info:', error);
+        logger.error('Error during logout:', { error: error.message });
         return res.status(500).json({
             status: false,
-            error: 'Failed to get client information'
+            error: 'Failed to logout'
         });
     }
 });
 
-// Restart WhatsApp client endpoint
-apiRouter.post('/restart-client', async (req, res) => {
+// Pairing QR code endpoint (png, svg, dataurl or json)
+apiRouter.get('/qr', requireScope('admin'), async (req, res) => {
+    const session = resolveSession(req, res);
+    if (!session) {
+        return;
+    }
+
+    const format = (req.query.format || 'png').toLowerCase();
+    if (!['png', 'svg', 'dataurl', 'json'].includes(format)) {
+        return res.status(400).json({
+            status: false,
+            error: 'format must be one of: png, svg, dataurl, json'
+        });
+    }
+
+    const qr = session.currentQr();
+    if (!qr) {
+        return res.status(404).json({
+            status: false,
+            error: session.ready
+                ? 'Session is already paired'
+                : 'No QR code available yet, the client may still be starting'
+        });
+    }
+
     try {
-        logger.info('Manually restarting WhatsApp client...');
-        
-        // Clear health check interval
-        if (sessionHealthCheck) {
-            clearInterval(sessionHealthCheck);
-            sessionHealthCheck = null;
-        }
-        
-        // Destroy existing client if any
-        if (client) {
-            try {
-                await client.destroy();
-            } catch (destroyError) {
-                logger.warn('Error destroying existing client during restart:', destroyError);
-            }
+        // QR codes must never be served from a cache, they rotate and expire
+        res.set('Cache-Control', 'no-store');
+
+        if (format === 'png') {
+            const image = await QRCode.toBuffer(qr.value, { type: 'png', width: 320, margin: 2 });
+            return res.type('png').send(image);
+        }
+        if (format === 'svg') {
+            const image = await QRCode.toString(qr.value, { type: 'svg', margin: 2 });
+            return res.type('svg').send(image);
+        }
+
+        const data = {
+            session: session.id,
+            receivedAt: qr.receivedAt,
+            expiresAt: qr.expiresAt
+        };
+        if (format === 'dataurl') {
+            data.dataUrl = await QRCode.toDataURL(qr.value, { width: 320, margin: 2 });
+        } else {
+            data.qr = qr.value;
         }
-        
-        // Reset states
-        client = null;
-        clientInitialized = false;
-        initializationAttempts = 0;
-        
-        // Initialize new client
-        const success = await initializeWhatsAppClient();
-        
+
         return res.json({
             status: true,
-            message: 'WhatsApp client restart initiated',
-            success: success
+            data
         });
     } catch (error) {
-        logger.error('Error restarting WhatsApp client:', error);
+        logger.error('Error rendering QR code:', { session: session.id, error: error.message });
         return res.status(500).json({
             status: false,
-            error: 'Failed to restart WhatsApp client'
+            error: 'Failed to render QR code'
         });
     }
 });
 
-// Session recovery endpoint
-apiRouter.post('/recover-session', async (req, res) => {
-    try {
-        logger.info('Manual session recovery requested...');
-        
-        if (sessionRestartInProgress) {
-            return res.json({
-                status: false,
-                message: 'Session recovery already in progress'
-            });
+// Pairing progress stream (Server-Sent Events)
+apiRouter.get('/qr/stream', requireScope('admin'), (req, res) => {
+    const session = resolveSession(req, res);
+    if (!session) {
+        return;
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        'Connection': 'keep-alive',
+        // Stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Tell a late subscriber where pairing currently stands
+    const qr = session.currentQr();
+    if (session.ready) {
+        res.write(`event: ready\ndata: ${JSON.stringify({ session: session.id, ...(session.info() || {}) })}\n\n`);
+    } else if (qr) {
+        res.write(`event: qr\ndata: ${JSON.stringify({ session: session.id, ...qr })}\n\n`);
+    }
+
+    if (!qrStreams.has(session.id)) {
+        qrStreams.set(session.id, new Set());
+    }
+    const streams = qrStreams.get(session.id);
+    streams.add(res);
+
+    // Keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        streams.delete(res);
+        if (streams.size === 0) {
+            qrStreams.delete(session.id);
         }
-        
-        await recoverSession();
-        
-        return res.json({
-            status: true,
-            message: 'Session recovery initiated',
-            ready: clientInitialized
+    });
+});
+
+// List sessions endpoint
+apiRouter.get('/sessions', requireScope('read'), (req, res) => {
+    return res.json({
+        status: true,
+        data: sessions.list().map(session => ({
+            ...session.status(),
+            default: session.id === sessions.defaultSessionId
+        }))
+    });
+});
+
+// Create session endpoint
+apiRouter.post('/sessions', requireScope('admin'), (req, res) => {
+    const { id } = req.body;
+
+    if (typeof id !== 'string' || !id) {
+        return res.status(400).json({
+            status: false,
+            error: 'Field "id" is required'
         });
+    }
+    if (sessions.get(id)) {
+        return res.status(409).json({
+            status: false,
+            error: `Session "${id}" already exists`
+        });
+    }
+
+    let session;
+    try {
+        session = sessions.create(id);
     } catch (error) {
-        logger.error('Error during manual session recovery:', error);
-        return res.status(500).json({
+        return res.status(400).json({
             status: false,
-            error: 'Failed to recover session'
+            error: error.message
         });
     }
-});
 
-// Queue status endpoint
-apiRouter.get('/queue-status', (req, res) => {
-    return res.json({
+    logger.info('Session created', { keyId: req.apiKey.id, session: id });
+
+    return res.status(201).json({
         status: true,
-        data: {
-            queue_length: messageQueue.length,
-            processing: processingQueue,
-            oldest_message: messageQueue.length > 0 ? new Date(messageQueue[0].timestamp) : null,
-            session_healthy: checkSessionHealth(),
-            last_health_check: lastHealthCheck,
-            restart_in_progress: sessionRestartInProgress
-        }
+        message: 'Session created, scan the QR code to pair it',
+        data: session.status()
     });
 });
 
-// Clear message queue endpoint
-apiRouter.post('/clear-queue', (req, res) => {
-    const clearedCount = messageQueue.length;
-    messageQueue = [];
-    processingQueue = false;
-    
-    logger.info(`Cleared ${clearedCount} messages from queue`);
-    
+// Session detail endpoint
+apiRouter.get('/sessions/:id', requireScope('read'), (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({
+            status: false,
+            error: `Session not found: ${req.params.id}`
+        });
+    }
+
     return res.json({
         status: true,
-        message: `Cleared ${clearedCount} messages from queue`
+        data: {
+            ...session.status(),
+            default: session.id === sessions.defaultSessionId,
+            info: session.info(),
+            jobs: jobStore.counts(session.id)
+        }
     });
 });
 
-// Logout endpoint
-apiRouter.post('/logout', async (req, res) => {
+// Delete session endpoint
+apiRouter.delete('/sessions/:id', requireScope('admin'), async (req, res) => {
     try {
-        // Clear health check interval
-        if (sessionHealthCheck) {
-            clearInterval(sessionHealthCheck);
+        const { id } = req.params;
+        if (!sessions.get(id)) {
+            return res.status(404).json({
+                status: false,
+                error: `Session not found: ${id}`
+            });
+        }
+        if (id === sessions.defaultSessionId) {
+            return res.status(400).json({
+                status: false,
+                error: 'The default session cannot be deleted'
+            });
         }
-        
-        if (client && clientInitialized) {
-            await client.logout();
-            clientInitialized = false;
-            logger.info('WhatsApp client logged out successfully');
+
+        const logout = isTruthyFlag(req.query.logout);
+        await sessions.remove(id, { logout });
+
+        // Nothing will ever send this session's pending jobs now
+        const orphaned = jobStore.list([JOB_STATES.SCHEDULED, JOB_STATES.QUEUED, JOB_STATES.PAUSED], id);
+        for (const job of orphaned) {
+            jobStore.update(job.id, {
+                state: JOB_STATES.FAILED,
+                lastError: 'Session deleted'
+            });
+            settleJobWaiter(job.id, new Error('Session deleted'));
         }
+        new Set(orphaned.map(job => job.campaignId).filter(Boolean)).forEach(checkCampaignCompletion);
+
+        logger.info('Session deleted', { keyId: req.apiKey.id, session: id, logout, failedJobs: orphaned.length });
+
         return res.json({
             status: true,
-            message: 'Logged out successfully'
+            message: `Session "${id}" deleted`,
+            failed_jobs: orphaned.length
         });
     } catch (error) {
-        logger.error('Error during logout:', error);
+        logger.error('Error deleting session:', { error: error.message });
         return res.status(500).json({
             status: false,
-            error: 'Failed to logout'
+            error: 'Failed to delete session'
         });
     }
 });
 
+// Sandbox controls, only with WA_DRIVER=sandbox: simulate inbound messages and failures
+if (clientDriver === 'sandbox') {
+    // Simulate a message arriving at a session
+    apiRouter.post('/sandbox/inbound', requireScope('admin'), (req, res) => {
+        const session = resolveReadySession(req, res);
+        if (!session) {
+            return;
+        }
+
+        const { from, message, author, sender_name: senderName, reply_to: replyTo, country } = req.body;
+        const errors = [];
+        const sender = parseRecipient(from, country);
+        if (!sender.chatId) {
+            errors.push(`Field "from": ${sender.error}`);
+        }
+        if (typeof message !== 'string' || message.length === 0) {
+            errors.push('Field "message" is required');
+        }
+        const participant = author ? parseRecipient(author, country) : null;
+        if (participant && !participant.chatId) {
+            errors.push(`Field "author": ${participant.error}`);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ status: false, errors });
+        }
+
+        const msg = session.client.receive({
+            from: sender.chatId,
+            body: message,
+            author: participant ? participant.chatId : undefined,
+            senderName: senderName || null,
+            quotedMessageId: replyTo || null
+        });
+
+        return res.status(201).json({
+            status: true,
+            session: session.id,
+            data: { messageId: msg.id.id, from: msg.from, timestamp: msg.timestamp }
+        });
+    });
+
+    // Make the next sends fail, or drop the connection
+    apiRouter.post('/sandbox/faults', requireScope('admin'), (req, res) => {
+        const session = resolveReadySession(req, res);
+        if (!session) {
+            return;
+        }
+
+        const { type } = req.body;
+        const count = req.body.count === undefined ? 1 : req.body.count;
+        const errors = [];
+        if (!FAULT_KINDS.includes(type)) {
+            errors.push(`Field "type" must be one of: ${FAULT_KINDS.join(', ')}`);
+        }
+        if (!Number.isInteger(count) || count < 1 || count > 100) {
+            errors.push('Field "count" must be an integer between 1 and 100');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ status: false, errors });
+        }
+
+        session.client.injectFault(type, count);
+        logger.info('Sandbox fault injected', { keyId: req.apiKey.id, session: session.id, type, count });
+
+        return res.json({
+            status: true,
+            session: session.id,
+            message: `Fault "${type}" injected`
+        });
+    });
+}
+
 // Use API routes
 app.use(process.env.API_BASE_PATH || '/api', apiRouter);
 
+// Liveness probe: fails only when restarting the process is the fix,
+// i.e. a session gave up starting its client. No API key required.
+app.get('/livez', (req, res) => {
+    const failedSessions = sessions.list().filter(session => session.initializationFailed).map(session => session.id);
+    const checks = [{
+        name: 'sessions',
+        ok: failedSessions.length === 0,
+        error: failedSessions.length > 0 ? `Gave up initializing: ${failedSessions.join(', ')}` : undefined
+    }];
+
+    const ok = checks.every(check => check.ok);
+    res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'fail', checks });
+});
+
+// Readiness probe: not shutting down, and the sessions in `?session=` (default:
+// the default session) pass the deep health check. No API key required.
+app.get('/readyz', async (req, res) => {
+    const ids = queryList(req.query.session) || [sessions.defaultSessionId];
+    const sessionChecks = await Promise.all(ids.map(async id => {
+        const session = sessions.get(id);
+        if (!session) {
+            return { name: `session:${id}`, ok: false, error: 'Session not found' };
+        }
+
+        const health = await session.deepHealthCheck();
+        return {
+            name: `session:${id}`,
+            ok: health.healthy,
+            failed_check: health.failedCheck || undefined,
+            error: health.error || undefined,
+            state: health.state,
+            latency_ms: health.latencyMs
+        };
+    }));
+
+    const checks = [
+        { name: 'shutdown', ok: !shuttingDown, error: shuttingDown ? 'Server is shutting down' : undefined },
+        ...sessionChecks
+    ];
+    const ok = checks.every(check => check.ok);
+    res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'fail', checks });
+});
+
 // Root endpoint
 app.get('/', (req, res) => {
     res.json({
@@ -763,12 +2848,29 @@ app.get('/', (req, res) => {
         status: 'running',
         endpoints: {
             health: `${process.env.API_BASE_PATH || '/api'}/health`,
+            liveness: '/livez',
+            readiness: '/readyz',
             sendMessage: `${process.env.API_BASE_PATH || '/api'}/send-message`,
+            sendMedia: `${process.env.API_BASE_PATH || '/api'}/send-media`,
+            checkNumbers: `${process.env.API_BASE_PATH || '/api'}/check-numbers`,
+            broadcast: `${process.env.API_BASE_PATH || '/api'}/broadcast`,
+            scheduled: `${process.env.API_BASE_PATH || '/api'}/scheduled`,
+            templates: `${process.env.API_BASE_PATH || '/api'}/templates`,
+            groups: `${process.env.API_BASE_PATH || '/api'}/groups`,
+            messages: `${process.env.API_BASE_PATH || '/api'}/messages`,
+            messageStatus: `${process.env.API_BASE_PATH || '/api'}/messages/:jobId`,
+            inbox: `${process.env.API_BASE_PATH || '/api'}/messages/inbox`,
             clientInfo: `${process.env.API_BASE_PATH || '/api'}/client-info`,
+            webhooks: `${process.env.API_BASE_PATH || '/api'}/webhooks`,
             recoverSession: `${process.env.API_BASE_PATH || '/api'}/recover-session`,
             queueStatus: `${process.env.API_BASE_PATH || '/api'}/queue-status`,
+            deadLetter: `${process.env.API_BASE_PATH || '/api'}/dead-letter`,
+            metrics: `${process.env.API_BASE_PATH || '/api'}/metrics`,
             clearQueue: `${process.env.API_BASE_PATH || '/api'}/clear-queue`,
-            logout: `${process.env.API_BASE_PATH || '/api'}/logout`
+            logout: `${process.env.API_BASE_PATH || '/api'}/logout`,
+            qr: `${process.env.API_BASE_PATH || '/api'}/qr`,
+            qrStream: `${process.env.API_BASE_PATH || '/api'}/qr/stream`,
+            sessions: `${process.env.API_BASE_PATH || '/api'}/sessions`
         }
     });
 });
@@ -801,8 +2903,11 @@ app.use((req, res) => {
 process.on('unhandledRejection', (reason, promise) => {
     logger.error('Unhandled promise rejection', { reason: reason && reason.stack ? reason.stack : reason });
     if (reason && reason.message && reason.message.includes('Execution context was destroyed')) {
+        // The error doesn't say which browser it came from, so every session is recovered
         logger.warn('Detected execution context destroyed error, attempting session recovery');
-        recoverSession().catch(err => logger.error('Error during automatic recovery:', err));
+        sessions.list().forEach(session => {
+            session.recover('context_destroyed').catch(err => logger.error('Error during automatic recovery:', { session: session.id, error: err.message }));
+        });
     }
 });
 
@@ -810,62 +2915,127 @@ process.on('uncaughtException', err => {
     logger.error('Uncaught exception', { error: err.stack || err });
     if (err.message && err.message.includes('Execution context was destroyed')) {
         logger.warn('Uncaught execution context error, recovering session');
-        recoverSession().catch(e => logger.error('Error during recovery after uncaught exception:', e));
+        sessions.list().forEach(session => {
+            session.recover('context_destroyed').catch(e => logger.error('Error during recovery after uncaught exception:', { session: session.id, error: e.message }));
+        });
     }
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    logger.info('Received SIGINT, shutting down gracefully...');
-    
-    try {
-        // Clear health check interval
-        if (sessionHealthCheck) {
-            clearInterval(sessionHealthCheck);
-        }
-        
-        if (client && clientInitialized) {
-            await client.destroy();
-            logger.info('WhatsApp client destroyed');
+// Graceful shutdown: stop taking sends, give the queue until the deadline to
+// drain, then leave whatever is still pending in the job store for the next start
+const shutdownDrainSeconds = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_SECONDS, 10);
+const shutdownDrainMs = (Number.isNaN(shutdownDrainSeconds) || shutdownDrainSeconds < 0 ? 25 : shutdownDrainSeconds) * 1000;
+// How long a send already handed to WhatsApp may take once the deadline has passed
+const SHUTDOWN_SEND_GRACE_MS = 15 * 1000;
+let httpServer = null;
+
+async function waitForQueueDrain(deadline) {
+    while (Date.now() < deadline) {
+        if (sessions.list().every(session => session.isQueueIdle())) {
+            return true;
         }
-    } catch (error) {
-        logger.error('Error destroying WhatsApp client:', error);
+        await sleep(250);
     }
-    
-    process.exit(0);
-});
+    return false;
+}
 
-process.on('SIGTERM', async () => {
-    logger.info('Received SIGTERM, shutting down gracefully...');
-    
+// Stop accepting connections and give in-flight responses a moment to go out
+async function closeHttpServer() {
+    if (!httpServer) {
+        return;
+    }
+
+    const closed = new Promise(resolve => httpServer.close(resolve));
+    // Node 18.2+; older versions wait for idle keep-alive sockets to time out
+    if (typeof httpServer.closeIdleConnections === 'function') {
+        httpServer.closeIdleConnections();
+    }
+    await Promise.race([closed, sleep(5000)]);
+}
+
+// Each step runs even if an earlier one failed, so the checkpoint is never skipped
+async function runShutdownStep(name, step) {
     try {
-        // Clear health check interval
-        if (sessionHealthCheck) {
-            clearInterval(sessionHealthCheck);
+        await step();
+    } catch (error) {
+        logger.error(`Error during shutdown (${name}):`, { error: error.message, stack: error.stack });
+    }
+}
+
+async function shutdown(signal) {
+    if (shuttingDown) {
+        logger.warn(`Received ${signal} again, exiting without waiting for the queue`);
+        process.exit(1);
+    }
+    shuttingDown = true;
+    logger.info(`Received ${signal}, shutting down gracefully...`, { drainTimeoutMs: shutdownDrainMs });
+
+    // Last resort if a step below hangs
+    setTimeout(() => {
+        logger.error('Graceful shutdown timed out, exiting');
+        process.exit(1);
+    }, shutdownDrainMs + SHUTDOWN_SEND_GRACE_MS + 30 * 1000).unref();
+
+    // Scheduled jobs keep their send time and are released after the restart
+    await runShutdownStep('scheduler', () => scheduler.stop());
+
+    // The listener stays open meanwhile, so send requests get a 503 with Retry-After
+    let drained = false;
+    await runShutdownStep('drain', async () => {
+        drained = await waitForQueueDrain(Date.now() + shutdownDrainMs);
+        if (!drained) {
+            logger.warn('Shutdown deadline reached before the queue drained');
         }
-        
-        if (client && clientInitialized) {
-            await client.destroy();
-            logger.info('WhatsApp client destroyed');
+    });
+    await runShutdownStep('stop queues', () => sessions.stopQueues(SHUTDOWN_SEND_GRACE_MS));
+
+    // Callers still waiting on a send get the job back instead of an error
+    await runShutdownStep('waiting requests', () => {
+        for (const jobId of [...jobWaiters.keys()]) {
+            const error = new Error('Server is shutting down');
+            error.stillQueued = true;
+            settleJobWaiter(jobId, error);
         }
-    } catch (error) {
-        logger.error('Error destroying WhatsApp client:', error);
+    });
+    await runShutdownStep('http server', closeHttpServer);
+
+    // Every change is already on disk; compacting leaves one line per pending job
+    await runShutdownStep('checkpoint', () => {
+        jobStore.compact();
+        const pending = jobStore.counts();
+        const queued = jobStore.list(JOB_STATES.QUEUED);
+        logger.info('Queue checkpointed, pending jobs resume on the next start', {
+            drained,
+            scheduled: pending[JOB_STATES.SCHEDULED],
+            queued: pending[JOB_STATES.QUEUED],
+            waitingForRetry: queued.filter(job => job.nextAttemptAt).length,
+            sending: pending[JOB_STATES.SENDING],
+            paused: pending[JOB_STATES.PAUSED]
+        });
+    });
+
+    await runShutdownStep('sessions', async () => {
+        await sessions.destroyAll();
+        logger.info('WhatsApp clients destroyed');
+    });
+
+    for (const store of [webhooks, jobStore, campaigns, idempotencyKeys, inbox, messageHistory]) {
+        await runShutdownStep('close stores', () => store.close());
     }
-    
+
     process.exit(0);
-});
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start the server
-app.listen(port, async () => {
+httpServer = app.listen(port, async () => {
     logger.info(`WhatsApp API Gateway server started on port ${port}`);
     logger.info(`API endpoints available at: http://localhost:${port}${process.env.API_BASE_PATH || '/api'}`);
     
-    // Initialize WhatsApp client with delay to ensure server is ready
-    setTimeout(() => {
-        initializeWhatsAppClient().catch(error => {
-            logger.error('Failed to initialize WhatsApp client during startup:', error);
-        });
-    }, 2000);
+    // Initialize WhatsApp clients with delay to ensure server is ready
+    setTimeout(() => sessions.initializeAll(), 2000);
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for recipient parsing, send_at parsing and message splitting (utils/helpers.js)
+ */
+
+const assert = require('assert');
+const test = require('node:test');
+const { parsePhoneNumber, parseRecipient, parseSendAt, splitMessage } = require('../utils/helpers');
+
+test('parsePhoneNumber accepts national, international and bare numbers', () => {
+    for (const input of ['08123456789', '+62 812-3456-789', '0062 812 3456 789', '628123456789', '8123456789']) {
+        assert.deepStrictEqual(parsePhoneNumber(input, 'ID'), { phone: '628123456789', country: 'ID', error: null }, input);
+    }
+    assert.strictEqual(parsePhoneNumber('0612345678', 'NL').phone, '31612345678');
+    // An explicit "+" wins over the country hint
+    assert.strictEqual(parsePhoneNumber('+31612345678', 'ID').phone, '31612345678');
+});
+
+test('parsePhoneNumber explains why a number is rejected', () => {
+    assert.strictEqual(parsePhoneNumber('', 'ID').error, 'Phone number is required');
+    assert.match(parsePhoneNumber('0812abc', 'ID').error, /contains letters/);
+    assert.match(parsePhoneNumber('0812', 'ID').error, /too short for ID/);
+    assert.match(parsePhoneNumber('08123456789', 'ZZ').error, /Unknown country "ZZ"/);
+    assert.strictEqual(parsePhoneNumber('---', 'ID').phone, null);
+});
+
+test('parseRecipient recognises phone numbers and contact ids', () => {
+    assert.deepStrictEqual(parseRecipient('08123456789', 'ID'), {
+        chatId: '628123456789@c.us',
+        phone: '628123456789',
+        group: false,
+        inviteCode: null,
+        error: null
+    });
+    // Contact ids are international even when the hint says otherwise
+    assert.strictEqual(parseRecipient('31612345678@c.us', 'ID').chatId, '31612345678@c.us');
+});
+
+test('parseRecipient recognises group ids and invites', () => {
+    assert.strictEqual(parseRecipient('120363012345678901@g.us', 'ID').chatId, '120363012345678901@g.us');
+    assert.strictEqual(parseRecipient('6281234567890-1596000000@g.us', 'ID').group, true);
+    assert.match(parseRecipient('123@g.us', 'ID').error, /Group id 123@g.us is invalid/);
+
+    const invite = parseRecipient('https://chat.whatsapp.com/AbCdEfGhIjKlMnOpQrStUv', 'ID');
+    assert.strictEqual(invite.group, true);
+    assert.strictEqual(invite.chatId, null);
+    assert.strictEqual(invite.inviteCode, 'AbCdEfGhIjKlMnOpQrStUv');
+    assert.strictEqual(parseRecipient('AbCdEfGhIjKlMnOpQrStUv', 'ID').inviteCode, 'AbCdEfGhIjKlMnOpQrStUv');
+    assert.strictEqual(parseRecipient('', 'ID').error, 'Recipient is required');
+});
+
+test('parseSendAt reads absolute times as given', () => {
+    const expected = '2024-01-10T01:00:00.000Z';
+    assert.strictEqual(parseSendAt('2024-01-10T08:00:00+07:00', 'America/New_York').date.toISOString(), expected);
+    assert.strictEqual(parseSendAt('2024-01-10T01:00:00Z').date.toISOString(), expected);
+    assert.strictEqual(parseSendAt(1704848400).date.toISOString(), expected);
+    // Form fields send timestamps as strings
+    assert.strictEqual(parseSendAt('1704848400').date.toISOString(), expected);
+});
+
+test('parseSendAt reads local date-times in the given timezone', () => {
+    const local = (value, timeZone) => parseSendAt(value, timeZone).date.toISOString();
+
+    assert.strictEqual(local('2024-01-10T08:00', 'Asia/Jakarta'), '2024-01-10T01:00:00.000Z');
+    assert.strictEqual(local('2024-01-10 08:00:30', 'Asia/Jakarta'), '2024-01-10T01:00:30.000Z');
+    // Standard and daylight saving time
+    assert.strictEqual(local('2024-01-10T09:00', 'America/New_York'), '2024-01-10T14:00:00.000Z');
+    assert.strictEqual(local('2024-07-01T09:00', 'America/New_York'), '2024-07-01T13:00:00.000Z');
+    // Just after the spring-forward change, where the first offset guess is wrong
+    assert.strictEqual(local('2024-03-10T03:30', 'America/New_York'), '2024-03-10T07:30:00.000Z');
+    assert.strictEqual(local('2024-10-27T12:00', 'Europe/Amsterdam'), '2024-10-27T11:00:00.000Z');
+});
+
+test('parseSendAt rejects invalid values', () => {
+    assert.strictEqual(parseSendAt('2024-02-30T08:00', 'Asia/Jakarta').error, 'send_at is not a valid date');
+    assert.match(parseSendAt('2024-01-10T08:00', 'Mars/Base').error, /Unknown timezone "Mars\/Base"/);
+    assert.match(parseSendAt('tomorrow').error, /ISO 8601/);
+    assert.match(parseSendAt(-5).error, /positive unix timestamp/);
+    assert.strictEqual(parseSendAt('').date, null);
+});
+
+test('splitMessage leaves short text alone', () => {
+    assert.deepStrictEqual(splitMessage('Halo', 10), ['Halo']);
+    assert.deepStrictEqual(splitMessage('', 10), ['']);
+});
+
+test('splitMessage prefers paragraph, sentence and word boundaries', () => {
+    assert.deepStrictEqual(splitMessage('aaaaaaa\n\nbbbb cccc', 12), ['aaaaaaa', 'bbbb cccc']);
+    // A boundary that would leave a part less than half full loses to a later, weaker one
+    assert.deepStrictEqual(splitMessage('aaaa\n\nbbbb cccc', 12), ['aaaa\n\nbbbb', 'cccc']);
+    assert.deepStrictEqual(splitMessage('Hello world. Second sentence here.', 20), ['Hello world.', 'Second sentence', 'here.']);
+});
+
+test('splitMessage cuts hard without boundaries but keeps surrogate pairs whole', () => {
+    assert.deepStrictEqual(splitMessage('abcdefghij', 4), ['abcd', 'efgh', 'ij']);
+    assert.deepStrictEqual(splitMessage('abc\u{1F600}def', 4), ['abc', '\u{1F600}de', 'f']);
+});
+
+test('splitMessage keeps every part within the limit', () => {
+    const text = 'Lorem ipsum dolor sit amet. '.repeat(400);
+    const parts = splitMessage(text, 4096);
+
+    assert.ok(parts.length > 1);
+    assert.ok(parts.every(part => part.length <= 4096));
+    // Sentence breaks drop only the space between parts
+    assert.strictEqual(parts.join(' '), text);
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for journal replay and compaction (utils/journal.js, utils/jobStore.js)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { Journal } = require('../utils/journal');
+const { JobStore, JOB_STATES } = require('../utils/jobStore');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-gateway-journal-'));
+process.on('exit', () => fs.rmSync(tempDir, { recursive: true, force: true }));
+let fileCount = 0;
+
+function tempFile() {
+    fileCount++;
+    return path.join(tempDir, `journal-${fileCount}.jsonl`);
+}
+
+function lines(filePath) {
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+}
+
+test('Journal replays the last write per id and honours tombstones', () => {
+    const filePath = tempFile();
+    const journal = new Journal(filePath, { fsync: false });
+    journal.load();
+    journal.put({ id: 'a', value: 1 });
+    journal.putMany([{ id: 'a', value: 2 }, { id: 'b', value: 1 }]);
+    journal.put({ id: 'c', value: 1 });
+    assert.strictEqual(journal.remove('c'), true);
+    assert.strictEqual(journal.remove('missing'), false);
+    journal.close();
+
+    const replayed = new Journal(filePath);
+    replayed.load();
+    assert.deepStrictEqual(replayed.values(), [{ id: 'a', value: 2 }, { id: 'b', value: 1 }]);
+    assert.strictEqual(replayed.get('c'), null);
+    replayed.close();
+});
+
+test('Journal skips a truncated last line left by a crash', () => {
+    const filePath = tempFile();
+    fs.writeFileSync(filePath, '{"id":"a","value":1}\n{"id":"b","val');
+
+    const journal = new Journal(filePath);
+    journal.load();
+    assert.deepStrictEqual(journal.values(), [{ id: 'a', value: 1 }]);
+    journal.close();
+});
+
+test('Journal compaction keeps one line per live record', () => {
+    const filePath = tempFile();
+    const journal = new Journal(filePath, { fsync: false });
+    journal.load();
+    for (let i = 0; i < 5; i++) {
+        journal.put({ id: 'a', value: i });
+    }
+    journal.put({ id: 'b', value: 0 });
+    journal.put({ id: 'c', value: 0 });
+    journal.remove('c');
+
+    const dropped = journal.compact(record => record.id !== 'b');
+    assert.deepStrictEqual(dropped, [{ id: 'b', value: 0 }]);
+    assert.deepStrictEqual(lines(filePath).map(line => JSON.parse(line)), [{ id: 'a', value: 4 }]);
+
+    // Writes after compaction append to the new file
+    journal.put({ id: 'd', value: 0 });
+    journal.close();
+    const replayed = new Journal(filePath);
+    replayed.load();
+    assert.deepStrictEqual(replayed.values().map(record => record.id), ['a', 'd']);
+    replayed.close();
+});
+
+test('JobStore.load puts interrupted sends back in the queue', () => {
+    const filePath = tempFile();
+    const store = new JobStore({ filePath });
+    store.load();
+    const job = store.create({ chatId: '628123456789@c.us', message: 'Halo' });
+    store.update(job.id, { state: JOB_STATES.SENDING, attempts: 1 });
+    store.close();
+
+    const restarted = new JobStore({ filePath });
+    assert.strictEqual(restarted.load(), 1);
+    const replayed = restarted.get(job.id);
+    assert.strictEqual(replayed.state, JOB_STATES.QUEUED);
+    assert.strictEqual(replayed.attempts, 1);
+    restarted.close();
+});
+
+test('JobStore compaction drops finished jobs past retention and keeps dead letters', () => {
+    const filePath = tempFile();
+    const dropped = [];
+    const store = new JobStore({ filePath, retentionMs: 60 * 1000, onDrop: job => dropped.push(job.id) });
+    store.load();
+
+    const old = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+    const [sent, recent, deadLetter, queued] = store.createMany([{ message: 'a' }, { message: 'b' }, { message: 'c' }, { message: 'd' }]);
+    store.journal.put({ ...store.get(sent.id), state: JOB_STATES.SENT, messageId: 'MSG1', updatedAt: old });
+    store.update(recent.id, { state: JOB_STATES.SENT });
+    store.journal.put({ ...store.get(deadLetter.id), state: JOB_STATES.FAILED, deadLetteredAt: new Date().toISOString(), updatedAt: old });
+    store.journal.put({ ...store.get(queued.id), updatedAt: old });
+
+    assert.strictEqual(store.compact(), 1);
+    assert.deepStrictEqual(dropped, [sent.id]);
+    assert.deepStrictEqual(store.list().map(job => job.id), [recent.id, deadLetter.id, queued.id]);
+    assert.strictEqual(lines(filePath).length, 3);
+    store.close();
+});
+
+test('JobStore finds jobs by the message id of any part', () => {
+    const filePath = tempFile();
+    const store = new JobStore({ filePath });
+    store.load();
+    const job = store.create({ chatId: '628123456789@c.us', message: 'Halo' });
+    store.update(job.id, { partMessageIds: ['PART1'] });
+    store.update(job.id, { partMessageIds: ['PART1', 'PART2'], messageId: 'PART2', state: JOB_STATES.SENT });
+
+    assert.strictEqual(store.findByMessageId('PART1').id, job.id);
+    assert.strictEqual(store.findByMessageId('PART2').id, job.id);
+    assert.strictEqual(store.findByMessageId('OTHER'), null);
+    store.close();
+
+    const restarted = new JobStore({ filePath });
+    restarted.load();
+    assert.strictEqual(restarted.findByMessageId('PART1').id, job.id);
+    restarted.removeMany([job]);
+    assert.strictEqual(restarted.findByMessageId('PART1'), null);
+    restarted.close();
+});
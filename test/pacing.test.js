@@ -0,0 +1,91 @@
+/**
+ * Unit tests for send pacing (utils/pacing.js)
+ */
+
+const assert = require('assert');
+const test = require('node:test');
+const { Pacer, loadPacingConfig } = require('../utils/pacing');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+// Midday, so no test crosses midnight in the server's timezone
+const NOW = new Date(2024, 0, 10, 12, 0, 0).getTime();
+
+test('Pacer waits the minimum delay after each send', () => {
+    const pacer = new Pacer({ minDelayMs: 1000 });
+
+    assert.deepStrictEqual(pacer.nextSendDelay(NOW), { waitMs: 0, reason: null });
+    pacer.recordSend('a@c.us', NOW);
+    assert.deepStrictEqual(pacer.nextSendDelay(NOW + 400), { waitMs: 600, reason: 'delay' });
+    assert.deepStrictEqual(pacer.nextSendDelay(NOW + 1000), { waitMs: 0, reason: null });
+});
+
+test('Pacer adds at most the configured jitter', () => {
+    const pacer = new Pacer({ minDelayMs: 1000, jitterMs: 500 });
+
+    for (let i = 0; i < 20; i++) {
+        pacer.recordSend('a@c.us', NOW);
+        const { waitMs } = pacer.nextSendDelay(NOW);
+        assert.ok(waitMs >= 1000 && waitMs <= 1500, `wait ${waitMs}`);
+    }
+});
+
+test('Pacer holds the queue when the per-minute cap is reached', () => {
+    const pacer = new Pacer({ minDelayMs: 0, maxPerMinute: 2 });
+    pacer.recordSend('a@c.us', NOW);
+    pacer.recordSend('b@c.us', NOW + 10 * 1000);
+
+    assert.deepStrictEqual(pacer.nextSendDelay(NOW + 20 * 1000), { waitMs: 40 * 1000, reason: 'minute_limit' });
+    assert.deepStrictEqual(pacer.nextSendDelay(NOW + MINUTE_MS), { waitMs: 0, reason: null });
+});
+
+test('Pacer reports the longest of several waits', () => {
+    const pacer = new Pacer({ minDelayMs: 0, maxPerMinute: 1, maxPerHour: 1 });
+    pacer.recordSend('a@c.us', NOW);
+
+    assert.deepStrictEqual(pacer.nextSendDelay(NOW + MINUTE_MS), { waitMs: HOUR_MS - MINUTE_MS, reason: 'hourly_limit' });
+});
+
+test('Pacer stops at the daily quota until midnight', () => {
+    const pacer = new Pacer({ minDelayMs: 0, dailyQuota: 1 });
+    pacer.recordSend('a@c.us', NOW);
+
+    const midnight = new Date(2024, 0, 11).getTime();
+    assert.deepStrictEqual(pacer.nextSendDelay(NOW + HOUR_MS), { waitMs: midnight - NOW - HOUR_MS, reason: 'daily_quota' });
+    assert.strictEqual(pacer.usage(NOW + HOUR_MS).paused_reason, 'daily_quota');
+});
+
+test('Pacer keeps recipients on cooldown', () => {
+    const pacer = new Pacer({ minDelayMs: 0, recipientCooldownMs: 30 * 1000 });
+    pacer.recordSend('a@c.us', NOW);
+
+    assert.strictEqual(pacer.recipientReadyAt('a@c.us', NOW + 1000), NOW + 30 * 1000);
+    assert.strictEqual(pacer.recipientReadyAt('b@c.us', NOW + 1000), 0);
+    assert.strictEqual(pacer.recipientReadyAt('a@c.us', NOW + 30 * 1000), 0);
+});
+
+test('Pacer.seed restores recent sends so quotas survive a restart', () => {
+    const pacer = new Pacer({ minDelayMs: 0, maxPerHour: 2, recipientCooldownMs: HOUR_MS });
+    const now = Date.now();
+    pacer.seed([
+        { chatId: 'a@c.us', at: now - 10 * MINUTE_MS },
+        { chatId: 'a@c.us', at: now - 5 * MINUTE_MS },
+        // Older than a day: ignored
+        { chatId: 'b@c.us', at: now - 25 * HOUR_MS }
+    ]);
+
+    assert.strictEqual(pacer.nextSendDelay(now).reason, 'hourly_limit');
+    assert.strictEqual(pacer.recipientReadyAt('a@c.us', now), now - 5 * MINUTE_MS + HOUR_MS);
+    assert.strictEqual(pacer.recipientReadyAt('b@c.us', now), 0);
+});
+
+test('loadPacingConfig reads the environment and ignores bad values', () => {
+    assert.deepStrictEqual(loadPacingConfig({ QUEUE_MAX_PER_MINUTE: '20', QUEUE_RECIPIENT_COOLDOWN_SECONDS: '5', QUEUE_JITTER_MS: '-1' }), {
+        minDelayMs: 1000,
+        jitterMs: 0,
+        maxPerMinute: 20,
+        maxPerHour: 0,
+        dailyQuota: 0,
+        recipientCooldownMs: 5000
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * Unit tests for send error classification and retry delays (utils/retryPolicy.js)
+ */
+
+const assert = require('assert');
+const test = require('node:test');
+const { ERROR_KINDS, classifySendError, loadRetryPolicy, nextRetryDelay } = require('../utils/retryPolicy');
+
+const policy = { maxAttempts: 4, baseDelayMs: 1000, maxDelayMs: 5000 };
+
+test('classifySendError sorts failures into permanent, session and transient', () => {
+    assert.strictEqual(classifySendError(new Error('invalid wid')), ERROR_KINDS.PERMANENT);
+    assert.strictEqual(classifySendError(new Error('ENOENT: no such file or directory')), ERROR_KINDS.PERMANENT);
+    assert.strictEqual(classifySendError(new Error('Protocol error (Runtime.callFunctionOn): Session closed.')), ERROR_KINDS.SESSION);
+    assert.strictEqual(classifySendError(new Error('Execution context was destroyed')), ERROR_KINDS.SESSION);
+    assert.strictEqual(classifySendError(new Error('Navigation timeout of 30000 ms exceeded')), ERROR_KINDS.TRANSIENT);
+    // Thrown strings are classified by their text
+    assert.strictEqual(classifySendError('Target closed'), ERROR_KINDS.SESSION);
+});
+
+test('nextRetryDelay backs off exponentially up to the cap', () => {
+    const delays = [1, 2, 3].map(attempts => nextRetryDelay(policy, { attempts }, new Error('timeout')));
+
+    assert.deepStrictEqual(delays, [1000, 2000, 4000]);
+    assert.strictEqual(nextRetryDelay({ ...policy, maxAttempts: 10 }, { attempts: 5 }, new Error('timeout')), 5000);
+});
+
+test('nextRetryDelay gives up on permanent errors and after the last attempt', () => {
+    assert.strictEqual(nextRetryDelay(policy, { attempts: 1 }, new Error('invalid wid')), null);
+    assert.strictEqual(nextRetryDelay(policy, { attempts: 4 }, new Error('timeout')), null);
+    // Session errors are retried after the session restarts
+    assert.strictEqual(nextRetryDelay(policy, { attempts: 1 }, new Error('Session closed')), 1000);
+});
+
+test('loadRetryPolicy reads the environment and ignores bad values', () => {
+    assert.deepStrictEqual(loadRetryPolicy({}), { maxAttempts: 3, baseDelayMs: 5000, maxDelayMs: 300000 });
+    assert.deepStrictEqual(
+        loadRetryPolicy({ SEND_MAX_ATTEMPTS: '0', SEND_RETRY_BASE_DELAY_MS: '250', SEND_RETRY_MAX_DELAY_MS: 'soon' }),
+        { maxAttempts: 3, baseDelayMs: 250, maxDelayMs: 300000 }
+    );
+});
@@ -0,0 +1,171 @@
+/**
+ * End-to-end smoke test against the sandbox driver (no browser or network).
+ *
+ * Starts server.js with WA_DRIVER=sandbox and a throwaway DATA_DIR, then checks
+ * a send through /send-message and the queue, receipts, recovery after a
+ * session error, an inbound message, and a clean exit on SIGTERM.
+ *
+ * Usage: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const PORT = parseInt(process.env.SMOKE_PORT, 10) || 39000 + Math.floor(Math.random() * 1000);
+const API_KEY = 'smoke-test-key';
+const TEST_TIMEOUT_MS = 90 * 1000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Minimal JSON client for the gateway; resolves with { status, headers, body }
+function request(method, urlPath, body) {
+    return new Promise((resolve, reject) => {
+        const payload = body === undefined ? null : JSON.stringify(body);
+        const req = http.request({
+            host: '127.0.0.1',
+            port: PORT,
+            method,
+            path: urlPath,
+            headers: {
+                'X-API-Key': API_KEY,
+                ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {})
+            }
+        }, res => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                data += chunk;
+            });
+            res.on('end', () => {
+                let parsed = data;
+                try {
+                    parsed = JSON.parse(data);
+                } catch (error) {
+                    // Not JSON; keep the raw text
+                }
+                resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+            });
+        });
+        req.on('error', reject);
+        if (payload) {
+            req.write(payload);
+        }
+        req.end();
+    });
+}
+
+// Poll until check() returns something truthy
+async function waitFor(description, check, timeoutMs = 20000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            const result = await check();
+            if (result) {
+                return result;
+            }
+        } catch (error) {
+            // Server not up yet
+        }
+        await sleep(200);
+    }
+    throw new Error(`Timed out waiting for ${description}`);
+}
+
+function step(name) {
+    console.log(`- ${name}`);
+}
+
+async function run(server) {
+    step('server becomes ready with the sandbox driver');
+    await waitFor('/readyz', async () => (await request('GET', '/readyz')).status === 200);
+    const health = await request('GET', '/api/health');
+    assert.strictEqual(health.body.driver, 'sandbox');
+
+    step('send-message goes through the queue and is sent');
+    const sent = await request('POST', '/api/send-message', { to: '6281234567890', message: 'Smoke test' });
+    assert.strictEqual(sent.status, 200, JSON.stringify(sent.body));
+    assert.ok(sent.body.data.messageId, 'messageId missing');
+    const jobId = sent.body.data.jobId;
+
+    step('delivery and read receipts are recorded');
+    await waitFor('read receipt', async () => {
+        const job = await request('GET', `/api/messages/${jobId}`);
+        return job.body.data && job.body.data.ack === 'read';
+    });
+
+    step('a session error triggers recovery and the job is retried');
+    const fault = await request('POST', '/api/sandbox/faults', { type: 'session_error' });
+    assert.strictEqual(fault.status, 200, JSON.stringify(fault.body));
+    const retried = await request('POST', '/api/send-message', { to: '6281234567890', message: 'After recovery' });
+    assert.strictEqual(retried.status, 200, JSON.stringify(retried.body));
+    const retriedJob = await request('GET', `/api/messages/${retried.body.data.jobId}`);
+    assert.strictEqual(retriedJob.body.data.status, 'sent');
+    assert.strictEqual(retriedJob.body.data.attempts, 2);
+
+    step('inbound messages reach the inbox');
+    const inbound = await request('POST', '/api/sandbox/inbound', { from: '6289876543210', message: 'Halo' });
+    assert.strictEqual(inbound.status, 201, JSON.stringify(inbound.body));
+    const inbox = await request('GET', '/api/messages/inbox');
+    assert.ok(inbox.body.data.some(message => message.messageId === inbound.body.data.messageId), 'inbound message missing');
+
+    step('SIGTERM shuts the server down cleanly');
+    const exited = new Promise(resolve => server.once('exit', code => resolve(code)));
+    server.kill('SIGTERM');
+    assert.strictEqual(await exited, 0);
+}
+
+async function main() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-gateway-smoke-'));
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            DATA_DIR: dataDir,
+            API_KEYS: `smoke:${API_KEY}:admin`,
+            WA_DRIVER: 'sandbox',
+            SANDBOX_READY_DELAY_MS: '100',
+            SANDBOX_ACK_DELAY_MS: '100',
+            SEND_RETRY_BASE_DELAY_MS: '500',
+            QUEUE_MIN_DELAY_MS: '0',
+            LOG_LEVEL: 'warn'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    server.stdout.on('data', chunk => {
+        output += chunk;
+    });
+    server.stderr.on('data', chunk => {
+        output += chunk;
+    });
+
+    const timer = setTimeout(() => {
+        console.error('Smoke test timed out');
+        server.kill('SIGKILL');
+        process.exit(1);
+    }, TEST_TIMEOUT_MS);
+
+    try {
+        await run(server);
+        console.log('Sandbox smoke test passed');
+    } catch (error) {
+        console.error(`Sandbox smoke test failed: ${error.message}`);
+        console.error(output.slice(-4000));
+        process.exitCode = 1;
+    } finally {
+        clearTimeout(timer);
+        if (server.exitCode === null) {
+            server.kill('SIGKILL');
+        }
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+main();
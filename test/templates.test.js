@@ -0,0 +1,77 @@
+/**
+ * Unit tests for the template parser and renderer (utils/templates.js)
+ */
+
+const assert = require('assert');
+const test = require('node:test');
+const { parseTemplate, renderTemplate, TemplateSyntaxError } = require('../utils/templates');
+
+test('parseTemplate builds text, variable, if and each nodes', () => {
+    const nodes = parseTemplate('Hi {{ name|there }}{{#if vip}}!{{else}}.{{/if}}{{#each items}}{{this}}{{/each}}');
+
+    assert.deepStrictEqual(nodes.map(node => node.type), ['text', 'variable', 'if', 'each']);
+    assert.strictEqual(nodes[1].name, 'name');
+    assert.strictEqual(nodes[1].fallback, 'there');
+    assert.deepStrictEqual(nodes[2].otherwise, [{ type: 'text', value: '.' }]);
+});
+
+test('parseTemplate rejects unbalanced and malformed tags', () => {
+    assert.throws(() => parseTemplate('{{#if a}}open'), TemplateSyntaxError);
+    assert.throws(() => parseTemplate('{{#if a}}x{{/each}}'), TemplateSyntaxError);
+    assert.throws(() => parseTemplate('{{else}}'), TemplateSyntaxError);
+    assert.throws(() => parseTemplate('{{not valid!}}'), TemplateSyntaxError);
+});
+
+test('renderTemplate fills variables, nested fields and fallbacks', () => {
+    const result = renderTemplate('Halo {{customer.name}}, kode {{code|-}} {{note|}}', { customer: { name: 'Budi' }, code: '' });
+
+    assert.strictEqual(result.text, 'Halo Budi, kode - ');
+    assert.deepStrictEqual(result.missing, []);
+});
+
+test('renderTemplate reports missing variables without a fallback', () => {
+    const result = renderTemplate('{{a}} {{b.c}} {{#each list}}x{{/each}}', { b: {} });
+
+    assert.deepStrictEqual(result.missing, ['a', 'b.c', 'list']);
+});
+
+test('renderTemplate picks if/else branches', () => {
+    assert.strictEqual(renderTemplate('{{#if paid}}lunas{{else}}belum{{/if}}', { paid: true }).text, 'lunas');
+    assert.strictEqual(renderTemplate('{{#if paid}}lunas{{else}}belum{{/if}}', { paid: false }).text, 'belum');
+    // Empty lists count as false
+    assert.strictEqual(renderTemplate('{{#if items}}ada{{else}}kosong{{/if}}', { items: [] }).text, 'kosong');
+});
+
+test('renderTemplate loops with this, item fields and loop counters', () => {
+    const template = '{{#each items}}{{@number}}. {{name}} x{{qty}} ({{order}})\n{{/each}}{{#each tags}}[{{this}}]{{/each}}';
+    const result = renderTemplate(template, {
+        order: 'A1',
+        items: [{ name: 'Kopi', qty: 2 }, { name: 'Teh', qty: 1 }],
+        tags: ['baru', 'promo']
+    });
+
+    assert.strictEqual(result.text, '1. Kopi x2 (A1)\n2. Teh x1 (A1)\n[baru][promo]');
+    assert.deepStrictEqual(result.missing, []);
+});
+
+test('renderTemplate names missing fields inside loops by their list', () => {
+    const result = renderTemplate('{{#each items}}{{name}}{{/each}}', { items: [{}] });
+
+    assert.deepStrictEqual(result.missing, ['items[].name']);
+});
+
+test('renderTemplate refuses to loop over a non-list', () => {
+    assert.throws(() => renderTemplate('{{#each items}}x{{/each}}', { items: 'abc' }), TemplateSyntaxError);
+});
+
+test('renderTemplate ignores inherited properties', () => {
+    const result = renderTemplate('Hi {{constructor}} {{toString}} {{customer.constructor}}{{#each items}}{{hasOwnProperty}}{{/each}}', {
+        customer: { name: 'Budi' },
+        items: [{}]
+    });
+
+    assert.strictEqual(result.text, 'Hi   ');
+    assert.deepStrictEqual(result.missing, ['constructor', 'toString', 'customer.constructor', 'items[].hasOwnProperty']);
+    assert.strictEqual(renderTemplate('{{constructor|kak}}', {}).text, 'kak');
+    assert.strictEqual(renderTemplate('{{#if valueOf}}ya{{else}}tidak{{/if}}', {}).text, 'tidak');
+});
@@ -0,0 +1,204 @@
+/**
+ * API key authentication and scope checks
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./helpers');
+
+const SCOPES = ['send', 'read', 'admin'];
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Build a key entry, accepting either the raw key or its SHA-256 hex digest
+ * @param {object} entry - `{ id, key | keySha256, scopes }`
+ * @param {string} source - Where the entry came from, for error messages
+ * @returns {object} - `{ id, hash, scopes }`
+ */
+function normalizeKeyEntry(entry, source) {
+    if (!entry || !entry.id) {
+        throw new Error(`API key in ${source} is missing "id"`);
+    }
+
+    let hash;
+    if (entry.keySha256) {
+        hash = Buffer.from(entry.keySha256, 'hex');
+    } else if (entry.key) {
+        hash = hashKey(entry.key);
+    }
+    if (!hash || hash.length !== 32) {
+        throw new Error(`API key "${entry.id}" in ${source} needs a "key" or a 64 character "keySha256"`);
+    }
+
+    const scopes = Array.isArray(entry.scopes) ? entry.scopes : [];
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        throw new Error(`API key "${entry.id}" in ${source} has unknown scopes: ${unknown.join(', ')}`);
+    }
+
+    return { id: entry.id, hash, scopes };
+}
+
+/**
+ * Load API keys from API_KEYS_FILE (JSON array) and API_KEYS
+ * (`id:key:scope1,scope2` entries separated by semicolons)
+ * @param {object} env - Environment to read from
+ * @returns {object[]} - Key entries
+ */
+function loadApiKeys(env = process.env) {
+    const keys = [];
+
+    if (env.API_KEYS_FILE) {
+        const entries = JSON.parse(fs.readFileSync(env.API_KEYS_FILE, 'utf8'));
+        if (!Array.isArray(entries)) {
+            throw new Error(`${env.API_KEYS_FILE} must contain a JSON array of keys`);
+        }
+        entries.forEach(entry => keys.push(normalizeKeyEntry(entry, env.API_KEYS_FILE)));
+    }
+
+    if (env.API_KEYS) {
+        for (const item of env.API_KEYS.split(';').map(part => part.trim()).filter(Boolean)) {
+            const [id, key, scopes] = item.split(':');
+            keys.push(normalizeKeyEntry({
+                id,
+                key,
+                scopes: scopes ? scopes.split(',').map(scope => scope.trim()).filter(Boolean) : []
+            }, 'API_KEYS'));
+        }
+    }
+
+    const ids = keys.map(entry => entry.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+        throw new Error(`Duplicate API key id "${duplicate}"`);
+    }
+
+    return keys;
+}
+
+/**
+ * Read the key a request presents via X-API-Key, Authorization: Bearer, or
+ * the `api_key` query parameter (for browsers opening QR pages and EventSource,
+ * which can't set headers)
+ * @param {object} req - Express request
+ * @param {boolean} allowQuery - Whether this route accepts `api_key` in the query
+ * @returns {string|null}
+ */
+function extractApiKey(req, allowQuery) {
+    const header = req.get('X-API-Key');
+    if (header) {
+        return header.trim();
+    }
+
+    const authorization = req.get('Authorization');
+    if (authorization && authorization.toLowerCase().startsWith('bearer ')) {
+        return authorization.slice(7).trim();
+    }
+
+    if (allowQuery && typeof req.query.api_key === 'string' && req.query.api_key) {
+        return req.query.api_key;
+    }
+
+    return null;
+}
+
+/**
+ * Strip the `api_key` query parameter from a URL before it is logged
+ * @param {string} url - Request URL
+ * @returns {string}
+ */
+function redactApiKey(url) {
+    return url.replace(/([?&]api_key=)[^&]*/g, '$1[redacted]');
+}
+
+/**
+ * Create middleware that resolves the caller's API key into `req.apiKey`
+ * @param {object} options - Middleware options
+ * @param {object[]} options.keys - Output of loadApiKeys
+ * @param {boolean} options.disabled - Skip authentication entirely (API_AUTH_DISABLED)
+ * @param {string[]} options.queryKeyPaths - Router paths that also accept the key as `?api_key=`
+ * @returns {function} - Express middleware
+ */
+function createApiKeyAuth({ keys, disabled = false, queryKeyPaths = [] }) {
+    return (req, res, next) => {
+        if (disabled) {
+            req.apiKey = { id: 'anonymous', scopes: SCOPES };
+            return next();
+        }
+
+        if (keys.length === 0) {
+            return res.status(503).json({
+                status: false,
+                error: 'API authentication is not configured on this gateway'
+            });
+        }
+
+        const allowQuery = queryKeyPaths.includes(req.path);
+        const presented = extractApiKey(req, allowQuery);
+        if (!presented) {
+            return res.status(401).json({
+                status: false,
+                error: !allowQuery && req.query.api_key
+                    ? 'The api_key query parameter is only accepted on QR endpoints; send the key in the X-API-Key header'
+                    : 'API key required (X-API-Key header or Authorization: Bearer)'
+            });
+        }
+
+        const presentedHash = hashKey(presented);
+        // Compare against every key so timing doesn't reveal which one matched
+        let match = null;
+        for (const entry of keys) {
+            if (crypto.timingSafeEqual(entry.hash, presentedHash)) {
+                match = entry;
+            }
+        }
+
+        if (!match) {
+            logger.warn('Rejected request with invalid API key', { method: req.method, url: redactApiKey(req.originalUrl), ip: req.ip });
+            return res.status(401).json({
+                status: false,
+                error: 'Invalid API key'
+            });
+        }
+
+        req.apiKey = { id: match.id, scopes: match.scopes };
+        next();
+    };
+}
+
+/**
+ * Create middleware that only lets through keys holding a scope.
+ * The `admin` scope grants every other scope.
+ * @param {string} scope - Required scope
+ * @returns {function} - Express middleware
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        const scopes = req.apiKey ? req.apiKey.scopes : [];
+        if (scopes.includes(scope) || scopes.includes('admin')) {
+            return next();
+        }
+
+        logger.warn('Rejected request lacking scope', {
+            keyId: req.apiKey ? req.apiKey.id : null,
+            scope,
+            method: req.method,
+            url: redactApiKey(req.originalUrl)
+        });
+        return res.status(403).json({
+            status: false,
+            error: `API key lacks the "${scope}" scope`
+        });
+    };
+}
+
+module.exports = {
+    SCOPES,
+    loadApiKeys,
+    createApiKeyAuth,
+    requireScope,
+    redactApiKey
+};
@@ -0,0 +1,114 @@
+/**
+ * Durable store for broadcast campaigns
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { Journal } = require('./journal');
+const { logger } = require('./helpers');
+
+const CAMPAIGN_STATES = {
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    CANCELLED: 'cancelled',
+    COMPLETED: 'completed'
+};
+
+const FINISHED_CAMPAIGN_STATES = [CAMPAIGN_STATES.CANCELLED, CAMPAIGN_STATES.COMPLETED];
+
+/**
+ * Campaign metadata. The per-recipient messages are ordinary jobs in the
+ * JobStore tagged with `campaignId`.
+ */
+class CampaignStore {
+    /**
+     * @param {object} options - Store options
+     * @param {string} options.filePath - Journal file location
+     * @param {number} options.retentionMs - How long finished campaigns are kept
+     */
+    constructor(options = {}) {
+        this.journal = new Journal(options.filePath || path.join('data', 'campaigns.jsonl'));
+        this.retentionMs = options.retentionMs || 24 * 60 * 60 * 1000;
+    }
+
+    load() {
+        this.journal.load();
+        this.compact();
+    }
+
+    /**
+     * Create a running campaign
+     * @param {object} data - Campaign fields (session, name, total, ...)
+     * @returns {object} - The created campaign
+     */
+    create(data) {
+        const now = new Date().toISOString();
+        return this.journal.put({
+            id: crypto.randomUUID(),
+            ...data,
+            state: CAMPAIGN_STATES.RUNNING,
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null
+        });
+    }
+
+    update(id, changes) {
+        const campaign = this.journal.get(id);
+        if (!campaign) {
+            return null;
+        }
+
+        const updated = this.journal.put({
+            ...campaign,
+            ...changes,
+            updatedAt: new Date().toISOString()
+        });
+
+        if (this.journal.needsCompaction()) {
+            this.compact();
+        }
+        return updated;
+    }
+
+    get(id) {
+        return this.journal.get(id);
+    }
+
+    /**
+     * List campaigns, newest first
+     * @param {string} session - Optional session id filter
+     * @returns {object[]}
+     */
+    list(session) {
+        return this.journal.values()
+            .filter(campaign => !session || campaign.session === session)
+            .reverse();
+    }
+
+    /**
+     * Drop finished campaigns past the retention window
+     * @returns {number} - Number of campaigns dropped
+     */
+    compact() {
+        const cutoff = Date.now() - this.retentionMs;
+        const dropped = this.journal.compact(campaign => {
+            return !FINISHED_CAMPAIGN_STATES.includes(campaign.state) || Date.parse(campaign.updatedAt) >= cutoff;
+        });
+
+        if (dropped.length > 0) {
+            logger.info(`Removed ${dropped.length} finished campaigns from the campaign journal`);
+        }
+        return dropped.length;
+    }
+
+    close() {
+        this.journal.close();
+    }
+}
+
+module.exports = {
+    CampaignStore,
+    CAMPAIGN_STATES,
+    FINISHED_CAMPAIGN_STATES
+};
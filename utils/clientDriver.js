@@ -0,0 +1,136 @@
+/**
+ * Client drivers: what a session uses to talk to WhatsApp
+ *
+ * A driver is a factory `(clientId) => client`. The client has the surface of
+ * the whatsapp-web.js Client that sessions rely on: `initialize`, `destroy`,
+ * `logout`, `getState`, `sendMessage`, `getChatById`, `getChats`,
+ * `getNumberId`, `getInviteInfo`, `createGroup`, `info`, `pupPage`, and the
+ * events `qr`, `authenticated`, `ready`, `message`, `message_ack`,
+ * `disconnected`, `change_state` and `auth_failure`.
+ */
+
+const fs = require('fs');
+const { Client, LocalAuth } = require('whatsapp-web.js');
+const { logger } = require('./helpers');
+const { SandboxClient, loadSandboxConfig } = require('./sandboxClient');
+
+const AUTH_DATA_PATH = './.wwebjs_auth';
+
+/**
+ * Real WhatsApp Web client in headless Chrome, authenticated with LocalAuth
+ * @param {string} clientId - Session id
+ * @returns {object} - whatsapp-web.js Client
+ */
+function createWebClient(clientId) {
+    // Try to find Chrome executable
+    const chromePaths = [
+        process.env.CHROME_PATH,
+        process.env.PUPPETEER_EXECUTABLE_PATH,
+        '/usr/bin/google-chrome-stable',
+        '/usr/bin/google-chrome',
+        '/usr/bin/chromium-browser',
+        '/usr/bin/chromium',
+        '/snap/bin/chromium'
+    ].filter(Boolean);
+
+    let executablePath = undefined;
+
+    for (const path of chromePaths) {
+        try {
+            if (fs.existsSync(path)) {
+                executablePath = path;
+                logger.info(`Using Chrome executable: ${executablePath}`);
+                break;
+            }
+        } catch (error) {
+            // Continue to next path
+        }
+    }
+
+    return new Client({
+        authStrategy: new LocalAuth({
+            clientId,
+            dataPath: AUTH_DATA_PATH
+        }),
+        puppeteer: {
+            headless: true,
+            executablePath: executablePath,
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-accelerated-2d-canvas',
+                '--no-first-run',
+                '--no-zygote',
+                '--disable-gpu',
+                '--disable-web-security',
+                '--disable-extensions',
+                '--disable-plugins',
+                '--disable-images',
+                '--disable-default-apps',
+                '--disable-sync',
+                '--disable-translate',
+                '--hide-scrollbars',
+                '--mute-audio',
+                '--no-default-browser-check',
+                '--disable-background-timer-throttling',
+                '--disable-backgrounding-occluded-windows',
+                '--disable-renderer-backgrounding',
+                '--disable-features=TranslateUI',
+                '--disable-ipc-flooding-protection',
+                '--disable-hang-monitor',
+                '--disable-client-side-phishing-detection',
+                '--disable-component-update',
+                '--disable-popup-blocking',
+                '--disable-blink-features=AutomationControlled',
+                '--disable-software-rasterizer',
+                '--disable-background-networking',
+                '--disable-default-apps',
+                '--disable-extensions-file-access-check',
+                '--disable-sync',
+                '--disable-prompt-on-repost',
+                '--no-default-browser-check',
+                '--no-first-run',
+                '--disable-backgrounding-occluded-windows',
+                '--disable-renderer-backgrounding',
+                '--disable-features=TranslateUI,BlinkGenPropertyTrees',
+                '--disable-background-timer-throttling',
+                '--memory-pressure-off',
+                '--max_old_space_size=4096'
+            ],
+            timeout: 60000
+        },
+        webVersionCache: {
+            type: 'remote',
+            remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
+        }
+    });
+}
+
+const CLIENT_DRIVERS = {
+    web: () => createWebClient,
+    // Settings are read once, so every session's client behaves the same
+    sandbox: () => {
+        const config = loadSandboxConfig(process.env);
+        return clientId => new SandboxClient(clientId, config);
+    }
+};
+
+/**
+ * Client factory for a driver name
+ * @param {string} name - `web` (default) or `sandbox`
+ * @returns {Function} - `(clientId) => client`
+ */
+function resolveClientDriver(name = 'web') {
+    const driver = CLIENT_DRIVERS[name];
+    if (!driver) {
+        throw new Error(`Unknown WA_DRIVER "${name}", expected one of: ${Object.keys(CLIENT_DRIVERS).join(', ')}`);
+    }
+    return driver();
+}
+
+module.exports = {
+    AUTH_DATA_PATH,
+    CLIENT_DRIVERS: Object.keys(CLIENT_DRIVERS),
+    resolveClientDriver
+};
@@ -0,0 +1,138 @@
+/**
+ * Structured message formatting rendered to WhatsApp markup
+ */
+
+// WhatsApp wraps these styles in a marker character on each side
+const INLINE_MARKERS = {
+    bold: '*',
+    italic: '_',
+    strike: '~',
+    code: '`'
+};
+
+const INLINE_KEYS = ['text', ...Object.keys(INLINE_MARKERS)];
+const BLOCK_KEYS = [...INLINE_KEYS, 'monospace', 'quote', 'list', 'numbered'];
+
+// Markers only work when they touch the text, so keep outer whitespace outside them
+function wrap(text, marker) {
+    const [, before, core, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return core ? `${before}${marker}${core}${marker}${after}` : text;
+}
+
+function renderInline(value) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderInline).join('');
+    }
+
+    const [key] = Object.keys(value);
+    const text = renderInline(value[key]);
+    return key === 'text' ? text : wrap(text, INLINE_MARKERS[key]);
+}
+
+function renderBlock(block) {
+    if (typeof block === 'string' || Array.isArray(block)) {
+        return renderInline(block);
+    }
+
+    const [key] = Object.keys(block);
+    const value = block[key];
+
+    if (key === 'monospace') {
+        return '```' + value + '```';
+    }
+    if (key === 'quote') {
+        return renderInline(value).split('\n').map(line => `> ${line}`).join('\n');
+    }
+    if (key === 'list') {
+        return value.map(item => `- ${renderInline(item)}`).join('\n');
+    }
+    if (key === 'numbered') {
+        return value.map((item, index) => `${index + 1}. ${renderInline(item)}`).join('\n');
+    }
+    return renderInline(block);
+}
+
+/**
+ * Render structured blocks to WhatsApp markup. Each block becomes one line
+ * (or several for lists, quotes and monospace); use "" for a blank line.
+ *
+ * A block is a string, an array of inline spans, or an object with one key:
+ * - inline: `text`, `bold`, `italic`, `strike`, `code` (strings or span arrays, may nest)
+ * - block: `monospace` (string), `quote` (inline), `list` and `numbered` (arrays of inline items)
+ *
+ * @param {Array} blocks - Blocks, e.g. `[{ bold: 'Invoice' }, { list: ['Kopi x2', 'Teh x1'] }]`
+ * @returns {string} - Message text
+ */
+function renderBlocks(blocks) {
+    return blocks.map(renderBlock).join('\n');
+}
+
+function validateInline(value, where, errors) {
+    if (typeof value === 'string') {
+        return;
+    }
+    if (Array.isArray(value)) {
+        value.forEach((span, index) => validateInline(span, `${where}[${index}]`, errors));
+        return;
+    }
+
+    const keys = value !== null && typeof value === 'object' ? Object.keys(value) : [];
+    if (keys.length !== 1 || !INLINE_KEYS.includes(keys[0])) {
+        errors.push(`${where} must be a string, an array, or an object with one of: ${INLINE_KEYS.join(', ')}`);
+        return;
+    }
+    validateInline(value[keys[0]], `${where}.${keys[0]}`, errors);
+}
+
+/**
+ * Check structured blocks from an API request
+ * @param {*} blocks - Value of the "blocks" field
+ * @param {string} field - Field name used in error messages
+ * @returns {string[]} - Errors, empty when valid
+ */
+function validateBlocks(blocks, field = 'blocks') {
+    const errors = [];
+
+    if (!Array.isArray(blocks) || blocks.length === 0) {
+        return [`Field "${field}" must be a non-empty array`];
+    }
+
+    blocks.forEach((block, index) => {
+        const where = `${field}[${index}]`;
+        if (typeof block === 'string' || Array.isArray(block)) {
+            validateInline(block, where, errors);
+            return;
+        }
+
+        const keys = block !== null && typeof block === 'object' ? Object.keys(block) : [];
+        if (keys.length !== 1 || !BLOCK_KEYS.includes(keys[0])) {
+            errors.push(`${where} must be a string, an array, or an object with one of: ${BLOCK_KEYS.join(', ')}`);
+            return;
+        }
+
+        const [key] = keys;
+        if (key === 'monospace') {
+            if (typeof block.monospace !== 'string') {
+                errors.push(`${where}.monospace must be a string`);
+            }
+        } else if (key === 'list' || key === 'numbered') {
+            if (!Array.isArray(block[key]) || block[key].length === 0) {
+                errors.push(`${where}.${key} must be a non-empty array`);
+            } else {
+                block[key].forEach((item, itemIndex) => validateInline(item, `${where}.${key}[${itemIndex}]`, errors));
+            }
+        } else {
+            validateInline(block[key], `${where}.${key}`, errors);
+        }
+    });
+
+    return errors;
+}
+
+module.exports = {
+    renderBlocks,
+    validateBlocks
+};
@@ -2,54 +2,160 @@
  * Utility functions for WhatsApp API Gateway
  */
 
+const {
+    parsePhoneNumberFromString,
+    validatePhoneNumberLength,
+    isSupportedCountry
+} = require('libphonenumber-js/max');
+const { validateBlocks } = require('./formatting');
+
+// Country used for numbers written without an international prefix
+function getDefaultCountry() {
+    return (process.env.DEFAULT_COUNTRY || 'ID').toUpperCase();
+}
+
+const PHONE_LENGTH_ERRORS = {
+    TOO_SHORT: 'is too short',
+    TOO_LONG: 'is too long',
+    INVALID_LENGTH: 'has an invalid length',
+    INVALID_COUNTRY: 'has an unknown country calling code',
+    NOT_A_NUMBER: 'is not a phone number'
+};
+
+// Explain why libphonenumber rejected a number for a country
+function describePhoneError(input, country) {
+    const lengthError = validatePhoneNumberLength(input, country);
+    const where = country ? ` for ${country}` : '';
+
+    if (lengthError) {
+        return `Phone number ${input} ${PHONE_LENGTH_ERRORS[lengthError] || 'is invalid'}${where}`;
+    }
+    return `Phone number ${input} is not a valid number${where}`;
+}
+
 /**
- * Format phone number to WhatsApp format
+ * Parse a phone number into the digits WhatsApp expects (E.164 without "+").
+ *
+ * Numbers with "+" or "00" are international. Numbers with a trunk "0" are
+ * national numbers of `country`. Bare digits are tried as a national number
+ * first, then as an international number missing its "+", so both
+ * `8123456789` and `628123456789` keep working for Indonesia.
+ *
  * @param {string} phoneNumber - Raw phone number
- * @returns {string|null} - Formatted phone number or null if invalid
+ * @param {string} country - ISO 3166-1 alpha-2 hint, defaults to DEFAULT_COUNTRY
+ * @returns {object} - `{ phone, country, error }`; phone is null when invalid
  */
-function formatPhoneNumber(phoneNumber) {
+function parsePhoneNumber(phoneNumber, country) {
+    const invalid = error => ({ phone: null, country: null, error });
+
     if (!phoneNumber || typeof phoneNumber !== 'string') {
-        return null;
+        return invalid('Phone number is required');
     }
 
-    // Remove all non-numeric characters
-    let cleaned = phoneNumber.replace(/\D/g, '');
-    
-    // Handle different country code formats
-    if (cleaned.startsWith('0')) {
-        // Indonesian mobile number starting with 0
-        cleaned = '62' + cleaned.substring(1);
-    } else if (cleaned.startsWith('62')) {
-        // Already has Indonesian country code
-        cleaned = cleaned;
-    } else if (cleaned.startsWith('+62')) {
-        // Has + prefix
-        cleaned = cleaned.substring(1);
-    } else if (cleaned.length >= 10 && cleaned.length <= 13) {
-        // Assume it's missing country code (Indonesian default)
-        if (!cleaned.startsWith('62')) {
-            cleaned = '62' + cleaned;
-        }
-    }
-
-    // Validate Indonesian mobile number format
-    // Indonesian mobile numbers: 62 + 8xx-xxx-xxxx (10-13 digits after 62)
-    const indonesianMobilePattern = /^62[0-9]{9,13}$/;
-    
-    if (!indonesianMobilePattern.test(cleaned)) {
-        return null;
+    const defaultCountry = (country || getDefaultCountry()).toUpperCase();
+    if (!isSupportedCountry(defaultCountry)) {
+        return invalid(`Unknown country "${defaultCountry}", use an ISO 3166-1 alpha-2 code such as ID, MY, SG or NL`);
+    }
+
+    const input = phoneNumber.trim();
+    if (/[a-z]/i.test(input)) {
+        return invalid(`Phone number ${input} contains letters`);
+    }
+
+    const digits = input.replace(/\D/g, '');
+    if (digits.length === 0) {
+        return invalid(`Phone number ${input} contains no digits`);
+    }
+
+    const result = parsed => ({
+        phone: parsed.number.substring(1),
+        country: parsed.country || null,
+        error: null
+    });
+
+    // Explicit international format
+    if (input.startsWith('+') || digits.startsWith('00')) {
+        const international = '+' + digits.replace(/^00/, '');
+        const parsed = parsePhoneNumberFromString(international);
+        return parsed && parsed.isValid() ? result(parsed) : invalid(describePhoneError(international));
+    }
+
+    const national = parsePhoneNumberFromString(digits, defaultCountry);
+    if (national && national.isValid()) {
+        return result(national);
+    }
+
+    // A trunk prefix means the caller meant a national number
+    if (!digits.startsWith('0')) {
+        const parsed = parsePhoneNumberFromString('+' + digits);
+        if (parsed && parsed.isValid()) {
+            return result(parsed);
+        }
     }
 
-    return cleaned;
+    return invalid(describePhoneError(digits, defaultCountry));
+}
+
+// Group chats: "<creator>-<timestamp>@g.us" for old groups, "1203...@g.us" for newer ones
+const GROUP_ID_PATTERN = /^\d{5,}(-\d+)?@g\.us$/;
+const INVITE_LINK_PATTERN = /^(?:https?:\/\/)?chat\.whatsapp\.com\/(?:invite\/)?([A-Za-z0-9]{10,})\/?$/;
+// A bare invite code; phone numbers never contain letters, so the two can't be confused
+const INVITE_CODE_PATTERN = /^(?=.*[A-Za-z])([A-Za-z0-9]{20,24})$/;
+
+/**
+ * Parse a message recipient: a phone number, a contact id (`628...@c.us`),
+ * a group id (`1203...@g.us`), or a group invite link (`https://chat.whatsapp.com/<code>`)
+ * or bare invite code. Invites need a session to look up the group, so their chatId is null.
+ * @param {string} to - Recipient as given by the caller
+ * @param {string} country - ISO country hint for national phone numbers
+ * @returns {object} - `{ chatId, phone, group, inviteCode, error }`
+ */
+function parseRecipient(to, country) {
+    const result = { chatId: null, phone: null, group: false, inviteCode: null, error: null };
+
+    if (!to || typeof to !== 'string') {
+        return { ...result, error: 'Recipient is required' };
+    }
+
+    const value = to.trim();
+    if (value.endsWith('@g.us')) {
+        return GROUP_ID_PATTERN.test(value)
+            ? { ...result, chatId: value, group: true }
+            : { ...result, error: `Group id ${value} is invalid, expected something like 120363012345678901@g.us` };
+    }
+
+    const invite = value.match(INVITE_LINK_PATTERN) || value.match(INVITE_CODE_PATTERN);
+    if (invite) {
+        return { ...result, group: true, inviteCode: invite[1] };
+    }
+
+    // Contact ids are already international, without the "+"
+    const contact = value.match(/^(\d+)@c\.us$/);
+    const { phone, error } = parsePhoneNumber(contact ? `+${contact[1]}` : value, country);
+    if (!phone) {
+        return { ...result, error };
+    }
+    return { ...result, chatId: `${phone}@c.us`, phone };
+}
+
+/**
+ * Format phone number to WhatsApp format
+ * @param {string} phoneNumber - Raw phone number
+ * @param {string} country - Optional ISO country hint for national numbers
+ * @returns {string|null} - Formatted phone number or null if invalid
+ */
+function formatPhoneNumber(phoneNumber, country) {
+    return parsePhoneNumber(phoneNumber, country).phone;
 }
 
 /**
  * Validate phone number format
  * @param {string} phoneNumber - Phone number to validate
+ * @param {string} country - Optional ISO country hint for national numbers
  * @returns {boolean} - True if valid, false otherwise
  */
-function isValidPhoneNumber(phoneNumber) {
-    return formatPhoneNumber(phoneNumber) !== null;
+function isValidPhoneNumber(phoneNumber, country) {
+    return formatPhoneNumber(phoneNumber, country) !== null;
 }
 
 /**
@@ -107,8 +213,22 @@ class Logger {
     }
 }
 
+// Longest text WhatsApp accepts in a single message
+const WHATSAPP_TEXT_LIMIT = 4096;
+
+// C0/C1 control characters except tab and newline
+const CONTROL_CHARS = /[\u0000-\u0008\u000B-\u001F\u007F-\u009F]/g;
+
+// Invisible characters that can hide or reorder text: soft hyphen, zero-width
+// space, word joiners, bidi embeddings/overrides/isolates and stray BOMs.
+// ZWJ/ZWNJ, LRM/RLM and variation selectors stay: emoji and some scripts need them.
+const INVISIBLE_CHARS = /[\u00AD\u180E\u200B\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
 /**
- * Sanitize message content
+ * Clean message text for WhatsApp. WhatsApp shows text as-is, so characters
+ * such as &, <, > and quotes are kept; only control and invisible characters
+ * are removed and line endings normalized. Length is not limited here, see
+ * splitMessage.
  * @param {string} message - Raw message content
  * @returns {string} - Sanitized message
  */
@@ -117,15 +237,233 @@ function sanitizeMessage(message) {
         return '';
     }
 
-    // Remove potentially harmful content
     return message
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;')
-        .trim()
-        .substring(0, 4096); // Limit message length
+        .normalize('NFC')
+        .replace(/\r\n?|[\u2028\u2029]/g, '\n')
+        .replace(CONTROL_CHARS, '')
+        .replace(INVISIBLE_CHARS, '')
+        .trim();
+}
+
+/**
+ * Longest text a single send request may contain; longer text is rejected,
+ * anything over WHATSAPP_TEXT_LIMIT is sent as several messages
+ * @returns {number}
+ */
+function getMaxMessageLength() {
+    return parseInt(process.env.MAX_MESSAGE_LENGTH, 10) || WHATSAPP_TEXT_LIMIT * 4;
+}
+
+// Places text may be split, most preferred first; `at` is where the next part starts
+const SPLIT_BOUNDARIES = [
+    { pattern: /\n[ \t]*\n/g, at: match => match.index },
+    { pattern: /[.!?\u2026\u3002\uFF01\uFF1F]+["'\u201D\u2019)\]]*(?=\s)/g, at: match => match.index + match[0].length },
+    { pattern: /\n/g, at: match => match.index },
+    { pattern: /\s+/g, at: match => match.index }
+];
+
+/**
+ * Split text into parts WhatsApp accepts, breaking at paragraph, sentence,
+ * line or word boundaries rather than mid-word where possible.
+ * @param {string} text - Message text
+ * @param {number} limit - Longest allowed part
+ * @returns {string[]} - Parts in sending order
+ */
+function splitMessage(text, limit = WHATSAPP_TEXT_LIMIT) {
+    const parts = [];
+    let rest = text;
+
+    while (rest.length > limit) {
+        const window = rest.slice(0, limit + 1);
+        let cut = 0;
+
+        // Take the best kind of boundary that still fills at least half a part
+        for (const { pattern, at } of SPLIT_BOUNDARIES) {
+            let last = 0;
+            for (const match of window.matchAll(pattern)) {
+                const position = at(match);
+                if (position > 0 && position <= limit) {
+                    last = position;
+                }
+            }
+            if (last >= limit / 2) {
+                cut = last;
+                break;
+            }
+            cut = cut || last;
+        }
+
+        if (!cut) {
+            // No boundary at all: cut hard, but never inside a surrogate pair
+            cut = /[\uD800-\uDBFF]/.test(rest[limit - 1]) ? limit - 1 : limit;
+        }
+
+        parts.push(rest.slice(0, cut).trimEnd());
+        rest = rest.slice(cut).trimStart();
+    }
+
+    if (rest.length > 0 || parts.length === 0) {
+        parts.push(rest);
+    }
+    return parts;
+}
+
+// Checks for the `template` + `variables` alternative to a literal message
+function validateTemplateFields(payload, errors) {
+    if (typeof payload.template !== 'string' || !payload.template) {
+        errors.push('Field "template" must be a template name');
+    }
+    if (payload.message !== undefined || payload.blocks !== undefined) {
+        errors.push('Provide only one of "message", "template" or "blocks"');
+    }
+    if (payload.variables !== undefined && (payload.variables === null || typeof payload.variables !== 'object' || Array.isArray(payload.variables))) {
+        errors.push('Field "variables" must be an object');
+    }
+}
+
+// `type` values that select a message kind; any other type is only a label
+const RICH_MESSAGE_TYPES = ['location', 'contact', 'poll'];
+
+const MAX_POLL_OPTIONS = 12;
+const MAX_MENTIONS = 50;
+const MESSAGE_ID_PATTERN = /^[A-Za-z0-9_@.:-]{1,128}$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateOptionalString(value, field, maxLength, errors) {
+    if (value === undefined) {
+        return;
+    }
+    if (typeof value !== 'string') {
+        errors.push(`Field "${field}" must be a string`);
+    } else if (value.length > maxLength) {
+        errors.push(`Field "${field}" is too long (max ${maxLength} characters)`);
+    }
+}
+
+function validateLocationFields(location, errors) {
+    if (!isPlainObject(location)) {
+        errors.push('Field "location" must be an object with "latitude" and "longitude"');
+        return;
+    }
+
+    const { latitude, longitude } = location;
+    if (typeof latitude !== 'number' || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        errors.push('Field "location.latitude" must be a number between -90 and 90');
+    }
+    if (typeof longitude !== 'number' || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        errors.push('Field "location.longitude" must be a number between -180 and 180');
+    }
+    validateOptionalString(location.name, 'location.name', 256, errors);
+    validateOptionalString(location.address, 'location.address', 256, errors);
+    validateOptionalString(location.url, 'location.url', 2048, errors);
+    if (typeof location.url === 'string' && !/^https?:\/\/\S+$/.test(location.url)) {
+        errors.push('Field "location.url" must be an http(s) URL');
+    }
+}
+
+function validateContactFields(contact, country, errors) {
+    if (!isPlainObject(contact)) {
+        errors.push('Field "contact" must be an object with "name" and "phone"');
+        return;
+    }
+
+    if (typeof contact.name !== 'string' || !contact.name.trim()) {
+        errors.push('Field "contact.name" is required');
+    } else if (contact.name.length > 256) {
+        errors.push('Field "contact.name" is too long (max 256 characters)');
+    }
+
+    if (typeof contact.phone !== 'string' || !contact.phone.trim()) {
+        errors.push('Field "contact.phone" is required');
+    } else {
+        const { error } = parsePhoneNumber(contact.phone, typeof country === 'string' ? country : undefined);
+        if (error) {
+            errors.push(`Field "contact.phone" is invalid: ${error}`);
+        }
+    }
+
+    validateOptionalString(contact.organization, 'contact.organization', 256, errors);
+    validateOptionalString(contact.email, 'contact.email', 256, errors);
+}
+
+function validatePollFields(poll, errors) {
+    if (!isPlainObject(poll)) {
+        errors.push('Field "poll" must be an object with "question" and "options"');
+        return;
+    }
+
+    if (typeof poll.question !== 'string' || !poll.question.trim()) {
+        errors.push('Field "poll.question" is required');
+    } else if (poll.question.length > 255) {
+        errors.push('Field "poll.question" is too long (max 255 characters)');
+    }
+
+    if (!Array.isArray(poll.options) || poll.options.length < 2 || poll.options.length > MAX_POLL_OPTIONS) {
+        errors.push(`Field "poll.options" must be an array of 2 to ${MAX_POLL_OPTIONS} options`);
+    } else if (poll.options.some(option => typeof option !== 'string' || !option.trim() || option.length > 100)) {
+        errors.push('Field "poll.options" must only contain non-empty strings of up to 100 characters');
+    } else if (new Set(poll.options.map(option => option.trim().toLowerCase())).size !== poll.options.length) {
+        errors.push('Field "poll.options" must not contain duplicates');
+    }
+
+    if (poll.allow_multiple !== undefined && typeof poll.allow_multiple !== 'boolean') {
+        errors.push('Field "poll.allow_multiple" must be a boolean');
+    }
+}
+
+// Checks for `reply_to` and `mentions`, which apply on top of the message kind
+function validateReplyFields(payload, errors) {
+    if (payload.reply_to !== undefined && (typeof payload.reply_to !== 'string' || !MESSAGE_ID_PATTERN.test(payload.reply_to))) {
+        errors.push('Field "reply_to" must be a WhatsApp message id');
+    }
+
+    if (payload.mentions === undefined) {
+        return;
+    }
+    if (RICH_MESSAGE_TYPES.includes(payload.type)) {
+        errors.push(`Field "mentions" cannot be used with type "${payload.type}"`);
+    } else if (!Array.isArray(payload.mentions) || payload.mentions.length === 0 || payload.mentions.length > MAX_MENTIONS) {
+        errors.push(`Field "mentions" must be an array of 1 to ${MAX_MENTIONS} phone numbers`);
+    } else {
+        payload.mentions.forEach((mention, index) => {
+            const { chatId, group, error } = typeof mention === 'string'
+                ? parseRecipient(mention, typeof payload.country === 'string' ? payload.country : undefined)
+                : { error: 'must be a phone number' };
+            if (error || group || !chatId) {
+                errors.push(`Field "mentions[${index}]" is invalid: ${error || 'must be a phone number'}`);
+            }
+        });
+    }
+}
+
+/**
+ * Build a vCard 3.0 for a contact card message. The `waid` parameter lets
+ * WhatsApp offer "Message" on the card.
+ * @param {object} contact - `{ name, phone, organization, email }`, phone in international digits
+ * @returns {string}
+ */
+function buildVCard(contact) {
+    const escape = value => String(value).replace(/[\\,;]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escape(contact.name)}`,
+        `N:${escape(contact.name)};;;;`
+    ];
+
+    if (contact.organization) {
+        lines.push(`ORG:${escape(contact.organization)}`);
+    }
+    lines.push(`TEL;type=CELL;type=VOICE;waid=${contact.phone}:+${contact.phone}`);
+    if (contact.email) {
+        lines.push(`EMAIL:${escape(contact.email)}`);
+    }
+    lines.push('END:VCARD');
+
+    return lines.join('\n');
 }
 
 /**
@@ -136,20 +474,54 @@ function sanitizeMessage(message) {
 function validateSendMessagePayload(payload) {
     const errors = [];
 
+    if (payload.country !== undefined && typeof payload.country !== 'string') {
+        errors.push('Field "country" must be a string');
+    }
+
     if (!payload.to) {
         errors.push('Field "to" is required');
-    } else if (!isValidPhoneNumber(payload.to)) {
-        errors.push('Field "to" must be a valid phone number');
+    } else if (typeof payload.to !== 'string') {
+        errors.push('Field "to" must be a string');
+    } else if (payload.country === undefined || typeof payload.country === 'string') {
+        const { error } = parseRecipient(payload.to, payload.country);
+        if (error) {
+            errors.push(`Field "to" is invalid: ${error}`);
+        }
     }
 
-    if (!payload.message) {
-        errors.push('Field "message" is required');
+    const richType = RICH_MESSAGE_TYPES.find(kind => kind === payload.type);
+    RICH_MESSAGE_TYPES.filter(kind => kind !== richType && payload[kind] !== undefined).forEach(kind => {
+        errors.push(`Field "${kind}" requires "type": "${kind}"`);
+    });
+
+    if (richType) {
+        if (payload.message !== undefined || payload.template !== undefined || payload.blocks !== undefined) {
+            errors.push(`Fields "message", "template" and "blocks" cannot be used with type "${richType}"`);
+        }
+        if (payload[richType] === undefined) {
+            errors.push(`Field "${richType}" is required when type is "${richType}"`);
+        } else if (richType === 'location') {
+            validateLocationFields(payload.location, errors);
+        } else if (richType === 'contact') {
+            validateContactFields(payload.contact, payload.country, errors);
+        } else {
+            validatePollFields(payload.poll, errors);
+        }
+    } else if (payload.template !== undefined) {
+        validateTemplateFields(payload, errors);
+    } else if (payload.blocks !== undefined) {
+        if (payload.message !== undefined) {
+            errors.push('Provide only one of "message", "template" or "blocks"');
+        }
+        errors.push(...validateBlocks(payload.blocks));
+    } else if (!payload.message) {
+        errors.push('Field "message" (or "template" or "blocks") is required');
     } else if (typeof payload.message !== 'string') {
         errors.push('Field "message" must be a string');
     } else if (payload.message.trim().length === 0) {
         errors.push('Field "message" cannot be empty');
-    } else if (payload.message.length > 4096) {
-        errors.push('Field "message" is too long (max 4096 characters)');
+    } else if (payload.message.length > getMaxMessageLength()) {
+        errors.push(`Field "message" is too long (max ${getMaxMessageLength()} characters)`);
     }
 
     if (payload.sender && typeof payload.sender !== 'string') {
@@ -160,12 +532,441 @@ function validateSendMessagePayload(payload) {
         errors.push('Field "type" must be a string');
     }
 
+    validateReplyFields(payload, errors);
+
+    if (payload.async !== undefined && ![true, false, 'true', 'false', '1', '0'].includes(payload.async)) {
+        errors.push('Field "async" must be a boolean');
+    }
+
+    if (payload.session !== undefined && typeof payload.session !== 'string') {
+        errors.push('Field "session" must be a string');
+    }
+
+    if (payload.check_number !== undefined && ![true, false, 'true', 'false', '1', '0'].includes(payload.check_number)) {
+        errors.push('Field "check_number" must be a boolean');
+    }
+
+    validateScheduleFields(payload, errors);
+    validateQueueFields(payload, errors);
+
     return {
         isValid: errors.length === 0,
         errors
     };
 }
 
+/**
+ * Interpret a boolean flag from JSON, form or query input
+ * @param {*} value - `true`, `"true"` or `"1"` count as set
+ * @returns {boolean}
+ */
+function isTruthyFlag(value) {
+    return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Whether a string names an IANA timezone Intl knows about
+ * @param {string} timeZone - e.g. "Asia/Jakarta"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Offset in ms between a timezone's wall clock and UTC at a given instant
+function timeZoneOffset(timestamp, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(timestamp)).forEach(part => {
+        parts[part.type] = parseInt(part.value, 10);
+    });
+
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Parse a `send_at` value into an instant.
+ * ISO strings with "Z" or an offset, and unix timestamps (seconds), are absolute.
+ * A local date-time such as "2024-01-10T08:00" is read in `timeZone`.
+ * @param {string|number} value - Requested send time
+ * @param {string} timeZone - IANA timezone for local date-times, defaults to DEFAULT_TIMEZONE or the server's
+ * @returns {object} - `{ date, error }`; date is null when invalid
+ */
+function parseSendAt(value, timeZone) {
+    const invalid = error => ({ date: null, error });
+
+    // Form fields arrive as strings
+    if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+        value = parseInt(value, 10);
+    }
+
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value > 0
+            ? { date: new Date(value * 1000), error: null }
+            : invalid('send_at must be a positive unix timestamp in seconds');
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+        return invalid('send_at must be an ISO 8601 date-time or a unix timestamp');
+    }
+
+    const zone = timeZone || process.env.DEFAULT_TIMEZONE;
+    if (zone && !isValidTimeZone(zone)) {
+        return invalid(`Unknown timezone "${zone}", use an IANA name such as Asia/Jakarta`);
+    }
+
+    const local = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (local) {
+        const [, year, month, day, hour, minute, second = 0] = local.map(part => part && parseInt(part, 10));
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        if (month < 1 || month > 12 || day < 1 || day > daysInMonth || hour > 23 || minute > 59 || second > 59) {
+            return invalid('send_at is not a valid date');
+        }
+        if (!zone) {
+            return { date: new Date(year, month - 1, day, hour, minute, second), error: null };
+        }
+
+        // Guess with the offset at the wall-clock time, then correct once for DST changes in between
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+        let timestamp = wallClock - timeZoneOffset(wallClock, zone);
+        timestamp = wallClock - timeZoneOffset(timestamp, zone);
+        return { date: new Date(timestamp), error: null };
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(value.trim())) {
+        return invalid('send_at must be an ISO 8601 date-time (e.g. 2024-01-10T08:00:00+07:00 or 2024-01-10T08:00 with "timezone")');
+    }
+
+    const date = new Date(value.trim());
+    return Number.isNaN(date.getTime()) ? invalid('send_at is not a valid date') : { date, error: null };
+}
+
+const LATE_POLICIES = ['send', 'expire'];
+
+// Shared checks for the scheduling fields of send endpoints
+function validateScheduleFields(payload, errors) {
+    if (payload.timezone !== undefined && typeof payload.timezone !== 'string') {
+        errors.push('Field "timezone" must be a string');
+    } else if (payload.send_at !== undefined) {
+        const { error } = parseSendAt(payload.send_at, payload.timezone);
+        if (error) {
+            errors.push(`Field "send_at" is invalid: ${error}`);
+        }
+    } else if (payload.timezone !== undefined) {
+        errors.push('Field "timezone" requires "send_at"');
+    }
+
+    if (payload.late_policy !== undefined && !LATE_POLICIES.includes(payload.late_policy)) {
+        errors.push(`Field "late_policy" must be one of: ${LATE_POLICIES.join(', ')}`);
+    }
+}
+
+// Send queue lanes, highest first
+const PRIORITIES = ['critical', 'transactional', 'bulk'];
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Default time to live per lane, in seconds; 0 means jobs in that lane never expire
+const DEFAULT_TTL_SECONDS = {
+    critical: 10 * 60,
+    transactional: 0,
+    bulk: 0
+};
+
+/**
+ * How long a job in a lane may wait in the queue before it expires unsent,
+ * from QUEUE_TTL_<LANE>_SECONDS
+ * @param {string} priority - Lane name
+ * @returns {number} - Seconds, 0 for no limit
+ */
+function getQueueTtlSeconds(priority) {
+    const value = parseInt(process.env[`QUEUE_TTL_${priority.toUpperCase()}_SECONDS`], 10);
+    return Number.isInteger(value) && value >= 0 ? value : DEFAULT_TTL_SECONDS[priority];
+}
+
+// Shared checks for the queue lane and time to live of send endpoints
+function validateQueueFields(payload, errors) {
+    if (payload.priority !== undefined && !PRIORITIES.includes(payload.priority)) {
+        errors.push(`Field "priority" must be one of: ${PRIORITIES.join(', ')}`);
+    }
+
+    if (payload.ttl !== undefined) {
+        const ttl = Number(payload.ttl);
+        if (payload.ttl === '' || !Number.isInteger(ttl) || ttl < 1 || ttl > MAX_TTL_SECONDS) {
+            errors.push(`Field "ttl" must be a number of seconds between 1 and ${MAX_TTL_SECONDS}`);
+        }
+    }
+}
+
+/**
+ * Media types accepted by the send-media endpoint, keyed by file extension
+ */
+const MEDIA_MIME_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    gif: 'image/gif',
+    pdf: 'application/pdf',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    txt: 'text/plain',
+    csv: 'text/csv',
+    zip: 'application/zip',
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+    opus: 'audio/ogg',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    amr: 'audio/amr',
+    mp4: 'video/mp4',
+    '3gp': 'video/3gpp'
+};
+
+/**
+ * Maximum media size in bytes (MEDIA_MAX_SIZE_MB, default 16 MB)
+ * @returns {number}
+ */
+function getMaxMediaSize() {
+    const megabytes = parseFloat(process.env.MEDIA_MAX_SIZE_MB) || 16;
+    return Math.floor(megabytes * 1024 * 1024);
+}
+
+/**
+ * Work out the MIME type of a media file
+ * @param {string} mimetype - Declared MIME type, if any
+ * @param {string} filename - File name used to guess the type
+ * @returns {string|null} - Normalized MIME type or null if unknown
+ */
+function resolveMediaMimeType(mimetype, filename) {
+    if (mimetype && typeof mimetype === 'string' && mimetype !== 'application/octet-stream') {
+        return mimetype.split(';')[0].trim().toLowerCase();
+    }
+
+    if (filename && typeof filename === 'string') {
+        const extension = filename.split('.').pop().toLowerCase();
+        return MEDIA_MIME_TYPES[extension] || null;
+    }
+
+    return null;
+}
+
+/**
+ * Split a base64 payload or data URL into its MIME type and data
+ * @param {string} value - Raw base64 string or `data:<mime>;base64,<data>`
+ * @returns {object|null} - `{ mimetype, data }` or null if not valid base64
+ */
+function parseBase64Media(value) {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+
+    let mimetype = null;
+    let data = value.trim();
+
+    const dataUrl = data.match(/^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s);
+    if (dataUrl) {
+        mimetype = dataUrl[1];
+        data = dataUrl[2];
+    }
+
+    data = data.replace(/\s/g, '');
+    if (data.length === 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+        return null;
+    }
+
+    return { mimetype, data };
+}
+
+/**
+ * Check a media file's type and size against the allowed limits
+ * @param {object} media - `{ mimetype, size }`
+ * @returns {string[]} - Validation errors
+ */
+function validateMediaFile(media) {
+    const errors = [];
+    const allowed = Object.values(MEDIA_MIME_TYPES);
+
+    if (!media.mimetype) {
+        errors.push('Could not determine media type, provide "mimetype" or a filename with an extension');
+    } else if (!allowed.includes(media.mimetype)) {
+        errors.push(`Media type "${media.mimetype}" is not supported`);
+    }
+
+    const maxSize = getMaxMediaSize();
+    if (!media.size) {
+        errors.push('Media file is empty');
+    } else if (media.size > maxSize) {
+        errors.push(`Media file is too large (max ${Math.round(maxSize / 1024 / 1024)} MB)`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate request payload for send-media endpoint
+ * @param {object} payload - Request body
+ * @param {object} file - Uploaded file (multipart), if any
+ * @returns {object} - Validation result with isValid and errors
+ */
+function validateSendMediaPayload(payload, file) {
+    const errors = [];
+
+    if (payload.country !== undefined && typeof payload.country !== 'string') {
+        errors.push('Field "country" must be a string');
+    }
+
+    if (!payload.to) {
+        errors.push('Field "to" is required');
+    } else if (typeof payload.to !== 'string') {
+        errors.push('Field "to" must be a string');
+    } else if (payload.country === undefined || typeof payload.country === 'string') {
+        const { error } = parseRecipient(payload.to, payload.country);
+        if (error) {
+            errors.push(`Field "to" is invalid: ${error}`);
+        }
+    }
+
+    const sources = [file, payload.media, payload.path].filter(Boolean);
+    if (sources.length === 0) {
+        errors.push('Provide a multipart "file", a base64 "media" field or a local "path"');
+    } else if (sources.length > 1) {
+        errors.push('Provide only one of "file", "media" or "path"');
+    }
+
+    if (payload.media && !parseBase64Media(payload.media)) {
+        errors.push('Field "media" must be base64 encoded data or a data URL');
+    }
+
+    if (payload.path && typeof payload.path !== 'string') {
+        errors.push('Field "path" must be a string');
+    }
+
+    if (payload.caption !== undefined && typeof payload.caption !== 'string') {
+        errors.push('Field "caption" must be a string');
+    } else if (payload.caption && payload.caption.length > 1024) {
+        errors.push('Field "caption" is too long (max 1024 characters)');
+    }
+
+    for (const field of ['filename', 'mimetype', 'sender', 'type', 'session']) {
+        if (payload[field] !== undefined && typeof payload[field] !== 'string') {
+            errors.push(`Field "${field}" must be a string`);
+        }
+    }
+
+    for (const field of ['as_document', 'async', 'check_number']) {
+        if (payload[field] !== undefined && ![true, false, 'true', 'false', '1', '0'].includes(payload[field])) {
+            errors.push(`Field "${field}" must be a boolean`);
+        }
+    }
+
+    validateScheduleFields(payload, errors);
+    validateQueueFields(payload, errors);
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Largest number of recipients a single broadcast may target
+ * @returns {number}
+ */
+function getMaxBroadcastRecipients() {
+    return parseInt(process.env.BROADCAST_MAX_RECIPIENTS, 10) || 1000;
+}
+
+/**
+ * Validate request payload for broadcast endpoint. Recipient numbers are
+ * checked separately so errors can point at the offending entry.
+ * @param {object} payload - Request payload
+ * @returns {object} - Validation result with isValid and errors
+ */
+function validateBroadcastPayload(payload) {
+    const errors = [];
+
+    if (!Array.isArray(payload.recipients) || payload.recipients.length === 0) {
+        errors.push('Field "recipients" must be a non-empty array');
+    } else if (payload.recipients.length > getMaxBroadcastRecipients()) {
+        errors.push(`Field "recipients" may contain at most ${getMaxBroadcastRecipients()} entries`);
+    } else {
+        payload.recipients.forEach((recipient, index) => {
+            if (typeof recipient === 'string') {
+                return;
+            }
+            if (!isPlainObject(recipient) || typeof recipient.to !== 'string') {
+                errors.push(`recipients[${index}] must be a phone number or an object with "to"`);
+            } else if (recipient.variables !== undefined && !isPlainObject(recipient.variables)) {
+                errors.push(`recipients[${index}].variables must be an object`);
+            } else if (recipient.country !== undefined && typeof recipient.country !== 'string') {
+                errors.push(`recipients[${index}].country must be a string`);
+            }
+        });
+    }
+
+    if (payload.template !== undefined) {
+        validateTemplateFields(payload, errors);
+    } else if (!payload.message) {
+        errors.push('Field "message" (or "template") is required');
+    } else if (typeof payload.message !== 'string') {
+        errors.push('Field "message" must be a string');
+    } else if (payload.message.trim().length === 0) {
+        errors.push('Field "message" cannot be empty');
+    }
+
+    if (payload.template === undefined && payload.variables !== undefined && !isPlainObject(payload.variables)) {
+        errors.push('Field "variables" must be an object');
+    }
+
+    for (const field of ['name', 'sender', 'type', 'session', 'country']) {
+        if (payload[field] !== undefined && typeof payload[field] !== 'string') {
+            errors.push(`Field "${field}" must be a string`);
+        }
+    }
+
+    validateQueueFields(payload, errors);
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Map a whatsapp-web.js message ack level to a readable status
+ * @param {number} ack - Ack level from the message_ack event
+ * @returns {string} - Status name
+ */
+function ackStatusName(ack) {
+    const names = {
+        '-1': 'error',
+        0: 'pending',
+        1: 'server',
+        2: 'delivered',
+        3: 'read',
+        4: 'played'
+    };
+
+    return names[ack] || 'unknown';
+}
+
 /**
  * Create a delay/sleep function
  * @param {number} ms - Milliseconds to wait
@@ -175,6 +976,17 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Exponential backoff delay: baseDelay, 2x, 4x, ... capped at maxDelay
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ * @param {number} baseDelay - Delay after the first failure in milliseconds
+ * @param {number} maxDelay - Upper bound for the delay
+ * @returns {number} - Milliseconds to wait before the next attempt
+ */
+function backoffDelay(attempt, baseDelay, maxDelay = Infinity) {
+    return Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+}
+
 /**
  * Retry function with exponential backoff
  * @param {function} fn - Function to retry
@@ -191,7 +1003,7 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
                 throw error;
             }
             
-            const delay = baseDelay * Math.pow(2, attempt - 1);
+            const delay = backoffDelay(attempt, baseDelay);
             logger.warn(`Attempt ${attempt} failed, retrying in ${delay}ms...`, {
                 error: error.message,
                 attempt,
@@ -208,11 +1020,35 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
 const logger = new Logger();
 
 module.exports = {
+    parsePhoneNumber,
     formatPhoneNumber,
     isValidPhoneNumber,
+    getDefaultCountry,
+    parseRecipient,
     sanitizeMessage,
+    splitMessage,
+    getMaxMessageLength,
+    WHATSAPP_TEXT_LIMIT,
+    RICH_MESSAGE_TYPES,
+    buildVCard,
     validateSendMessagePayload,
+    validateSendMediaPayload,
+    getMaxBroadcastRecipients,
+    validateBroadcastPayload,
+    validateMediaFile,
+    resolveMediaMimeType,
+    parseBase64Media,
+    getMaxMediaSize,
+    MEDIA_MIME_TYPES,
+    isTruthyFlag,
+    isValidTimeZone,
+    parseSendAt,
+    LATE_POLICIES,
+    PRIORITIES,
+    getQueueTtlSeconds,
+    ackStatusName,
     sleep,
+    backoffDelay,
     retryWithBackoff,
     logger,
     Logger
@@ -0,0 +1,117 @@
+/**
+ * Durable record of Idempotency-Key values seen on send requests
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { Journal } = require('./journal');
+const { logger } = require('./helpers');
+
+// Header values are opaque to us, but keep them printable and bounded
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// JSON with object keys sorted, so equal payloads hash the same regardless of key order
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash what a request asks for, to tell a genuine retry from a reused key
+ * @param {object} parts - Anything that identifies the request (endpoint, body, file hash, ...)
+ * @returns {string} - Hex SHA-256
+ */
+function fingerprintRequest(parts) {
+    return crypto.createHash('sha256').update(canonicalJson(parts)).digest('hex');
+}
+
+/**
+ * Maps (API key, Idempotency-Key) to the job or campaign the first request
+ * created. Keys expire after `windowMs`; a reused key inside the window
+ * returns the original instead of sending again.
+ */
+class IdempotencyStore {
+    /**
+     * @param {object} options - Store options
+     * @param {string} options.filePath - Journal file location
+     * @param {number} options.windowMs - How long a key is remembered
+     */
+    constructor(options = {}) {
+        this.journal = new Journal(options.filePath || path.join('data', 'idempotency.jsonl'));
+        this.windowMs = options.windowMs || 24 * 60 * 60 * 1000;
+    }
+
+    load() {
+        this.journal.load();
+        this.compact();
+    }
+
+    _id(scope, key) {
+        return `${scope}:${key}`;
+    }
+
+    /**
+     * Look up a key that is still inside the window
+     * @param {string} scope - Owner of the key, e.g. the API key id
+     * @param {string} key - Idempotency key
+     * @returns {object|null} - `{ key, scope, fingerprint, jobId, campaignId, createdAt }`
+     */
+    get(scope, key) {
+        const record = this.journal.get(this._id(scope, key));
+        if (!record || Date.parse(record.createdAt) < Date.now() - this.windowMs) {
+            return null;
+        }
+        return record;
+    }
+
+    /**
+     * Remember what a key produced
+     * @param {string} scope - Owner of the key
+     * @param {string} key - Idempotency key
+     * @param {object} data - `{ fingerprint, jobId }` or `{ fingerprint, campaignId }`
+     * @returns {object} - The stored record
+     */
+    remember(scope, key, data) {
+        const record = this.journal.put({
+            id: this._id(scope, key),
+            scope,
+            key,
+            ...data,
+            createdAt: new Date().toISOString()
+        });
+
+        if (this.journal.needsCompaction()) {
+            this.compact();
+        }
+        return record;
+    }
+
+    /**
+     * Drop keys older than the window
+     * @returns {number} - Number of keys dropped
+     */
+    compact() {
+        const cutoff = Date.now() - this.windowMs;
+        const dropped = this.journal.compact(record => Date.parse(record.createdAt) >= cutoff);
+
+        if (dropped.length > 0) {
+            logger.info(`Removed ${dropped.length} expired idempotency keys`);
+        }
+        return dropped.length;
+    }
+
+    close() {
+        this.journal.close();
+    }
+}
+
+module.exports = {
+    IdempotencyStore,
+    IDEMPOTENCY_KEY_PATTERN,
+    fingerprintRequest
+};
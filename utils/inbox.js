@@ -0,0 +1,112 @@
+/**
+ * Local store for inbound WhatsApp messages
+ */
+
+const path = require('path');
+const { Journal } = require('./journal');
+
+/**
+ * Reduce a whatsapp-web.js Message to the fields we store and forward
+ * @param {object} msg - whatsapp-web.js Message
+ * @returns {object} - Normalized inbound message
+ */
+function normalizeInboundMessage(msg) {
+    const data = msg._data || {};
+
+    return {
+        messageId: msg.id ? msg.id.id : null,
+        chatId: msg.from,
+        // In groups `from` is the group and `author` is the participant
+        sender: msg.author || msg.from,
+        senderName: data.notifyName || null,
+        body: msg.body || '',
+        type: msg.type,
+        hasMedia: Boolean(msg.hasMedia),
+        quotedMessageId: msg.hasQuotedMsg ? (data.quotedStanzaID || null) : null,
+        isGroup: typeof msg.from === 'string' && msg.from.endsWith('@g.us'),
+        timestamp: msg.timestamp ? new Date(msg.timestamp * 1000).toISOString() : new Date().toISOString()
+    };
+}
+
+/**
+ * Inbound messages kept on disk with a monotonically increasing cursor
+ */
+class Inbox {
+    /**
+     * @param {object} options - Inbox options
+     * @param {string} options.filePath - Journal file location
+     * @param {number} options.maxMessages - Number of most recent messages to keep
+     */
+    constructor(options = {}) {
+        this.journal = new Journal(options.filePath || path.join('data', 'inbox.jsonl'));
+        this.maxMessages = options.maxMessages || 10000;
+        this.lastSeq = 0;
+    }
+
+    load() {
+        this.journal.load();
+        for (const entry of this.journal.values()) {
+            this.lastSeq = Math.max(this.lastSeq, entry.seq);
+        }
+        this._trim();
+    }
+
+    /**
+     * Store a normalized inbound message
+     * @param {object} message - Output of normalizeInboundMessage
+     * @returns {object} - Stored entry including `id` and `seq`
+     */
+    add(message) {
+        this.lastSeq++;
+        const entry = this.journal.put({
+            id: String(this.lastSeq),
+            seq: this.lastSeq,
+            ...message,
+            receivedAt: new Date().toISOString()
+        });
+
+        // Leave some slack so we don't rewrite the file on every message
+        if (this.journal.size > this.maxMessages * 1.1) {
+            this._trim();
+        }
+        return entry;
+    }
+
+    /**
+     * Page through stored messages, oldest first
+     * @param {object} options - Query options
+     * @param {number} options.after - Only return entries with a greater seq (cursor)
+     * @param {number} options.limit - Page size
+     * @param {string} options.chatId - Optional chat filter
+     * @param {string} options.session - Optional session filter
+     * @returns {object} - `{ messages, nextCursor, hasMore }`
+     */
+    list({ after = 0, limit = 50, chatId, session } = {}) {
+        const matches = this.journal.values().filter(entry => {
+            return entry.seq > after
+                && (!chatId || entry.chatId === chatId)
+                && (!session || entry.session === session);
+        });
+        const messages = matches.slice(0, limit);
+
+        return {
+            messages,
+            nextCursor: messages.length > 0 ? messages[messages.length - 1].seq : after,
+            hasMore: matches.length > messages.length
+        };
+    }
+
+    _trim() {
+        const cutoff = this.lastSeq - this.maxMessages;
+        this.journal.compact(entry => entry.seq > cutoff);
+    }
+
+    close() {
+        this.journal.close();
+    }
+}
+
+module.exports = {
+    Inbox,
+    normalizeInboundMessage
+};
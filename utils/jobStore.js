@@ -0,0 +1,354 @@
+/**
+ * Durable store for outbound message jobs
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { Journal } = require('./journal');
+const { logger, PRIORITIES } = require('./helpers');
+
+const JOB_STATES = {
+    // Waiting for its send_at time
+    SCHEDULED: 'scheduled',
+    QUEUED: 'queued',
+    SENDING: 'sending',
+    SENT: 'sent',
+    FAILED: 'failed',
+    // Held back by a paused broadcast campaign
+    PAUSED: 'paused',
+    CANCELLED: 'cancelled',
+    // Its send_at passed while it couldn't be sent and its late policy said not to send it,
+    // or its time to live ran out while it waited in the queue
+    EXPIRED: 'expired'
+};
+
+const TERMINAL_STATES = [JOB_STATES.SENT, JOB_STATES.FAILED, JOB_STATES.CANCELLED, JOB_STATES.EXPIRED];
+
+/**
+ * Queue lane of a job. Jobs queued before lanes existed go by whether they
+ * belong to a broadcast, which used to be the only ordering rule.
+ * @param {object} job - Job
+ * @returns {string} - One of PRIORITIES
+ */
+function jobPriority(job) {
+    if (PRIORITIES.includes(job.priority)) {
+        return job.priority;
+    }
+    return job.campaignId ? 'bulk' : 'transactional';
+}
+
+/**
+ * Message jobs backed by a journal on disk, so pending sends survive restarts
+ */
+class JobStore {
+    /**
+     * @param {object} options - Store options
+     * @param {string} options.filePath - Journal file location
+     * @param {number} options.retentionMs - How long finished jobs are kept for status lookups
+     * @param {number} options.deadLetterRetentionMs - How long dead-lettered jobs are kept for requeueing
+     * @param {function} options.onDrop - Called with each job removed by compaction
+     * @param {function} options.onChange - Called with each job after it is created or updated
+     */
+    constructor(options = {}) {
+        this.journal = new Journal(options.filePath || path.join('data', 'queue.jsonl'));
+        this.retentionMs = options.retentionMs || 24 * 60 * 60 * 1000;
+        this.deadLetterRetentionMs = options.deadLetterRetentionMs || 30 * 24 * 60 * 60 * 1000;
+        this.onDrop = options.onDrop || null;
+        this.onChange = options.onChange || null;
+        // WhatsApp message id -> job id, covering every part of split messages
+        this.messageIndex = new Map();
+    }
+
+    _index(job) {
+        for (const messageId of [job.messageId, ...(job.partMessageIds || [])]) {
+            if (messageId) {
+                this.messageIndex.set(messageId, job.id);
+            }
+        }
+    }
+
+    _unindex(job) {
+        for (const messageId of [job.messageId, ...(job.partMessageIds || [])]) {
+            if (this.messageIndex.get(messageId) === job.id) {
+                this.messageIndex.delete(messageId);
+            }
+        }
+    }
+
+    _put(jobs) {
+        const saved = this.journal.putMany(jobs);
+        saved.forEach(job => this._index(job));
+        if (this.onChange) {
+            saved.forEach(job => this.onChange(job));
+        }
+        return saved;
+    }
+
+    /**
+     * Load jobs from disk and put interrupted sends back in the queue
+     * @returns {number} - Number of jobs replayed
+     */
+    load() {
+        this.journal.load();
+        this.messageIndex.clear();
+        this.journal.values().forEach(job => this._index(job));
+
+        let replayed = 0;
+        for (const job of this.journal.values()) {
+            if (job.state === JOB_STATES.SENDING) {
+                // We can't know whether WhatsApp accepted the message before the
+                // process died, so the job is sent again rather than dropped.
+                logger.warn('Replaying job interrupted while sending', { jobId: job.id, chatId: job.chatId });
+                this.update(job.id, { state: JOB_STATES.QUEUED });
+                replayed++;
+            }
+        }
+
+        this.compact();
+        return replayed;
+    }
+
+    /**
+     * Create a queued job
+     * @param {object} data - Job payload (chatId, message)
+     * @param {string} state - Initial state, `scheduled` for jobs with a send time
+     * @returns {object} - The created job
+     */
+    create(data, state = JOB_STATES.QUEUED) {
+        return this._put([this._newJob(data, state)])[0];
+    }
+
+    /**
+     * Create several queued jobs with a single journal write
+     * @param {object[]} items - Job payloads
+     * @returns {object[]} - The created jobs
+     */
+    createMany(items) {
+        return this._put(items.map(data => this._newJob(data)));
+    }
+
+    _newJob(data, state = JOB_STATES.QUEUED) {
+        const now = new Date().toISOString();
+        return {
+            id: crypto.randomUUID(),
+            ...data,
+            state,
+            attempts: 0,
+            messageId: null,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Apply changes to a job and persist it
+     * @param {string} id - Job id
+     * @param {object} changes - Fields to update
+     * @returns {object|null} - Updated job or null if unknown
+     */
+    update(id, changes) {
+        const job = this.journal.get(id);
+        if (!job) {
+            return null;
+        }
+
+        return this._put([{
+            ...job,
+            ...changes,
+            updatedAt: new Date().toISOString()
+        }])[0];
+    }
+
+    /**
+     * Apply the same changes to several jobs with a single journal write
+     * @param {object[]} jobs - Jobs to update
+     * @param {object} changes - Fields to update
+     * @returns {object[]} - Updated jobs
+     */
+    updateMany(jobs, changes) {
+        const updatedAt = new Date().toISOString();
+        return this._put(jobs.map(job => ({ ...job, ...changes, updatedAt })));
+    }
+
+    get(id) {
+        return this.journal.get(id);
+    }
+
+    /**
+     * List jobs in creation order
+     * @param {string|string[]} states - Optional state filter
+     * @param {string} session - Optional session id filter
+     * @returns {object[]}
+     */
+    list(states, session) {
+        const wanted = !states || Array.isArray(states) ? states : [states];
+        return this.journal.values().filter(job => {
+            return (!wanted || wanted.includes(job.state)) && (!session || job.session === session);
+        });
+    }
+
+    /**
+     * Find the job that produced a WhatsApp message, including any part of a split message
+     * @param {string} messageId - WhatsApp message id
+     * @returns {object|null}
+     */
+    findByMessageId(messageId) {
+        const jobId = messageId ? this.messageIndex.get(messageId) : null;
+        return jobId ? this.journal.get(jobId) || null : null;
+    }
+
+    /**
+     * Jobs belonging to a broadcast campaign
+     * @param {string} campaignId - Campaign id
+     * @param {string|string[]} states - Optional state filter
+     * @returns {object[]}
+     */
+    listByCampaign(campaignId, states) {
+        return this.list(states).filter(job => job.campaignId === campaignId);
+    }
+
+    /**
+     * Oldest job waiting in each lane
+     * @param {string} session - Optional session id filter
+     * @param {function} isEligible - Optional predicate; jobs it rejects are skipped for now
+     * @returns {object} - Jobs keyed by lane; lanes with nothing waiting are left out
+     */
+    queueHeads(session, isEligible) {
+        const heads = {};
+        for (const job of this.journal.values()) {
+            if (job.state !== JOB_STATES.QUEUED || (session && job.session !== session)) {
+                continue;
+            }
+            const priority = jobPriority(job);
+            if (heads[priority] || (isEligible && !isEligible(job))) {
+                continue;
+            }
+            heads[priority] = job;
+        }
+        return heads;
+    }
+
+    /**
+     * Oldest job in the highest lane that has one waiting
+     * @param {string} session - Optional session id filter
+     * @param {function} isEligible - Optional predicate; jobs it rejects are skipped for now
+     * @returns {object|null}
+     */
+    nextQueued(session, isEligible) {
+        const heads = this.queueHeads(session, isEligible);
+        const priority = PRIORITIES.find(lane => heads[lane]);
+        return priority ? heads[priority] : null;
+    }
+
+    /**
+     * Jobs that failed permanently or ran out of retries, most recent first
+     * @param {string} session - Optional session id filter
+     * @returns {object[]}
+     */
+    listDeadLetters(session) {
+        return this.list(JOB_STATES.FAILED, session)
+            .filter(job => job.deadLetteredAt)
+            .sort((a, b) => Date.parse(b.deadLetteredAt) - Date.parse(a.deadLetteredAt));
+    }
+
+    /**
+     * Delete jobs outright, e.g. when purging the dead-letter queue
+     * @param {object[]} jobs - Jobs to delete
+     * @returns {number} - Number of jobs deleted
+     */
+    removeMany(jobs) {
+        let removed = 0;
+        for (const job of jobs) {
+            const current = this.journal.get(job.id);
+            if (this.journal.remove(job.id)) {
+                this._unindex(current);
+                removed++;
+                if (this.onDrop) {
+                    this.onDrop(job);
+                }
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Expire queued jobs whose time to live has run out
+     * @param {string} session - Optional session id filter
+     * @param {number} now - Current time in ms
+     * @returns {object[]} - The expired jobs
+     */
+    expireOverdue(session, now = Date.now()) {
+        const overdue = this.list(JOB_STATES.QUEUED, session)
+            .filter(job => job.expiresAt && Date.parse(job.expiresAt) <= now);
+        if (overdue.length === 0) {
+            return overdue;
+        }
+
+        logger.warn(`Expired ${overdue.length} queued jobs past their time to live`, { session });
+        return this.updateMany(overdue, {
+            state: JOB_STATES.EXPIRED,
+            lastError: 'Not sent: its time to live ran out while it waited in the queue'
+        });
+    }
+
+    /**
+     * Count jobs per state
+     * @param {string} session - Optional session id filter
+     * @returns {object}
+     */
+    counts(session) {
+        const counts = {};
+        for (const state of Object.values(JOB_STATES)) {
+            counts[state] = 0;
+        }
+        for (const job of this.list(null, session)) {
+            counts[job.state] = (counts[job.state] || 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Drop finished jobs past the retention window and rewrite the journal
+     * @returns {number} - Number of jobs dropped
+     */
+    compact() {
+        const cutoff = Date.now() - this.retentionMs;
+        const deadLetterCutoff = Date.now() - this.deadLetterRetentionMs;
+        const dropped = this.journal.compact(job => {
+            if (job.state === JOB_STATES.FAILED && job.deadLetteredAt) {
+                return Date.parse(job.deadLetteredAt) >= deadLetterCutoff;
+            }
+            return !TERMINAL_STATES.includes(job.state) || Date.parse(job.updatedAt) >= cutoff;
+        });
+
+        dropped.forEach(job => this._unindex(job));
+        if (dropped.length > 0) {
+            logger.info(`Removed ${dropped.length} finished jobs from the queue journal`);
+            if (this.onDrop) {
+                dropped.forEach(job => this.onDrop(job));
+            }
+        }
+        return dropped.length;
+    }
+
+    /**
+     * Compact only when the journal has grown well past its live size
+     */
+    maybeCompact() {
+        if (this.journal.needsCompaction()) {
+            this.compact();
+        }
+    }
+
+    close() {
+        this.journal.close();
+    }
+}
+
+module.exports = {
+    jobPriority,
+    JobStore,
+    JOB_STATES,
+    TERMINAL_STATES
+};
@@ -0,0 +1,184 @@
+/**
+ * Append-only JSON-lines journal used for durable local storage
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./helpers');
+
+/**
+ * Keyed record store persisted as one JSON document per line.
+ * Every write appends the full record, the last line for an id wins on load,
+ * and a record with `_deleted: true` acts as a tombstone.
+ */
+class Journal {
+    /**
+     * @param {string} filePath - Location of the journal file
+     * @param {object} options - Journal options
+     * @param {boolean} options.fsync - Flush every write to disk before returning
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.fsync = options.fsync !== undefined ? options.fsync : true;
+        this.records = new Map();
+        this.lineCount = 0;
+        this.fd = null;
+    }
+
+    /**
+     * Read the journal from disk and open it for appending
+     * @returns {Map} - Records keyed by id
+     */
+    load() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.records.clear();
+        this.lineCount = 0;
+
+        if (fs.existsSync(this.filePath)) {
+            const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+            for (const line of lines) {
+                if (!line.trim()) {
+                    continue;
+                }
+
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    // A crash mid-write can leave a truncated last line behind
+                    logger.warn('Skipping unreadable journal line', { file: this.filePath, error: error.message });
+                    continue;
+                }
+
+                this.lineCount++;
+                if (record._deleted) {
+                    this.records.delete(record.id);
+                } else {
+                    this.records.set(record.id, record);
+                }
+            }
+        }
+
+        this.fd = fs.openSync(this.filePath, 'a');
+        return this.records;
+    }
+
+    _append(records) {
+        if (this.fd === null) {
+            throw new Error(`Journal ${this.filePath} is not loaded`);
+        }
+
+        fs.writeSync(this.fd, records.map(record => JSON.stringify(record) + '\n').join(''));
+        if (this.fsync) {
+            fs.fsyncSync(this.fd);
+        }
+        this.lineCount += records.length;
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {object} record - Record with an `id` field
+     * @returns {object} - The stored record
+     */
+    put(record) {
+        this._append([record]);
+        this.records.set(record.id, record);
+        return record;
+    }
+
+    /**
+     * Insert or replace several records with a single write and fsync
+     * @param {object[]} records - Records with an `id` field
+     * @returns {object[]} - The stored records
+     */
+    putMany(records) {
+        if (records.length === 0) {
+            return records;
+        }
+
+        this._append(records);
+        records.forEach(record => this.records.set(record.id, record));
+        return records;
+    }
+
+    /**
+     * Delete a record
+     * @param {string} id - Record id
+     * @returns {boolean} - True if the record existed
+     */
+    remove(id) {
+        if (!this.records.has(id)) {
+            return false;
+        }
+
+        this._append([{ id, _deleted: true }]);
+        this.records.delete(id);
+        return true;
+    }
+
+    get(id) {
+        return this.records.get(id) || null;
+    }
+
+    values() {
+        return Array.from(this.records.values());
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    /**
+     * Rewrite the journal so it holds one line per live record
+     * @param {function} keep - Optional predicate; records it rejects are dropped
+     * @returns {object[]} - The dropped records
+     */
+    compact(keep = () => true) {
+        const dropped = [];
+        for (const [id, record] of this.records) {
+            if (!keep(record)) {
+                this.records.delete(id);
+                dropped.push(record);
+            }
+        }
+
+        const tmpPath = `${this.filePath}.tmp`;
+        const body = this.values().map(record => JSON.stringify(record) + '\n').join('');
+        const tmpFd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(tmpFd, body);
+            fs.fsyncSync(tmpFd);
+        } finally {
+            fs.closeSync(tmpFd);
+        }
+
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+        }
+        fs.renameSync(tmpPath, this.filePath);
+        this.fd = fs.openSync(this.filePath, 'a');
+        this.lineCount = this.records.size;
+
+        return dropped;
+    }
+
+    /**
+     * Whether enough superseded lines have piled up to make compaction worthwhile
+     * @returns {boolean}
+     */
+    needsCompaction() {
+        return this.lineCount > 1000 && this.lineCount > this.records.size * 4;
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = {
+    Journal
+};
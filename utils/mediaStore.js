@@ -0,0 +1,94 @@
+/**
+ * On-disk storage for media attached to queued jobs
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./helpers');
+
+/**
+ * Media is copied into the data directory when a job is queued, so a job can
+ * be replayed after a restart no matter where the upload originally came from.
+ */
+class MediaStore {
+    /**
+     * @param {object} options - Store options
+     * @param {string} options.dir - Directory for stored media files
+     * @param {string} options.allowedDir - Directory local `path` sources must live in
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || path.join('data', 'media');
+        this.allowedDir = options.allowedDir ? path.resolve(options.allowedDir) : null;
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    /**
+     * Persist media bytes
+     * @param {Buffer} buffer - File contents
+     * @returns {string} - Stored file name, relative to the store directory
+     */
+    save(buffer) {
+        const name = crypto.randomUUID();
+        fs.writeFileSync(path.join(this.dir, name), buffer);
+        return name;
+    }
+
+    /**
+     * Read stored media as base64, the encoding MessageMedia expects
+     * @param {string} name - Stored file name
+     * @returns {string}
+     */
+    readBase64(name) {
+        return fs.readFileSync(path.join(this.dir, path.basename(name))).toString('base64');
+    }
+
+    remove(name) {
+        try {
+            fs.unlinkSync(path.join(this.dir, path.basename(name)));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Could not remove stored media', { file: name, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Read a caller-supplied local file, only from inside MEDIA_LOCAL_DIR
+     * @param {string} filePath - Path from the request
+     * @param {number} maxSize - Reject files larger than this many bytes
+     * @returns {Buffer}
+     */
+    readLocalFile(filePath, maxSize) {
+        if (!this.allowedDir) {
+            throw new Error('Sending local files is disabled (MEDIA_LOCAL_DIR is not set)');
+        }
+
+        let resolved;
+        try {
+            // realpath so symlinks can't point outside the allowed directory
+            resolved = fs.realpathSync(path.resolve(this.allowedDir, filePath));
+        } catch (error) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+
+        const allowedRoot = fs.realpathSync(this.allowedDir);
+        if (resolved !== allowedRoot && !resolved.startsWith(allowedRoot + path.sep)) {
+            throw new Error(`File is outside MEDIA_LOCAL_DIR: ${filePath}`);
+        }
+
+        const stats = fs.statSync(resolved);
+        if (!stats.isFile()) {
+            throw new Error(`Not a regular file: ${filePath}`);
+        }
+        if (maxSize && stats.size > maxSize) {
+            throw new Error(`Media file is too large (max ${Math.round(maxSize / 1024 / 1024)} MB)`);
+        }
+
+        return fs.readFileSync(resolved);
+    }
+}
+
+module.exports = {
+    MediaStore
+};
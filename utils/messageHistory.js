@@ -0,0 +1,242 @@
+/**
+ * Audit log of sent and received messages
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { Journal } = require('./journal');
+const { logger } = require('./helpers');
+
+const BODY_MODES = ['full', 'hash'];
+
+// Fields included in CSV exports, in column order
+const CSV_COLUMNS = [
+    'id', 'direction', 'session', 'status', 'ack', 'chatId', 'to', 'from', 'sender', 'type',
+    'apiKeyId', 'messageId', 'jobId', 'campaignId', 'body', 'bodyHash', 'bodyLength',
+    'mediaType', 'error', 'createdAt', 'sentAt', 'updatedAt'
+];
+
+// Expired records are also dropped on this interval, not only when the journal grows
+const RETENTION_SWEEP_MS = 60 * 60 * 1000;
+
+function hashBody(body) {
+    return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+// Locations, contacts and polls have no text, so a readable summary stands in for the body
+function jobBody(job) {
+    if (job.location) {
+        const { latitude, longitude, name, address } = job.location;
+        return [name, address, `${latitude},${longitude}`].filter(Boolean).join('\n');
+    }
+    if (job.contact) {
+        return `${job.contact.name} +${job.contact.phone}`;
+    }
+    if (job.poll) {
+        return [job.poll.question, ...job.poll.options.map(option => `- ${option}`)].join('\n');
+    }
+    return job.message;
+}
+
+/**
+ * Quote a CSV cell. Cells that a spreadsheet would run as a formula get a
+ * leading apostrophe, since message bodies come from API callers and senders.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One record per outbound job and per inbound message. Outbound records follow
+ * the job through its states and receipts; the body is stored in full or only
+ * as a SHA-256 hash, depending on `bodyMode`.
+ */
+class MessageHistory {
+    /**
+     * @param {object} options - History options
+     * @param {string} options.filePath - Journal file location
+     * @param {number} options.retentionMs - How long records are kept
+     * @param {string} options.bodyMode - `full` to store message text, `hash` to store only its hash
+     */
+    constructor(options = {}) {
+        this.journal = new Journal(options.filePath || path.join('data', 'message-history.jsonl'));
+        this.retentionMs = options.retentionMs || 90 * 24 * 60 * 60 * 1000;
+        this.bodyMode = BODY_MODES.includes(options.bodyMode) ? options.bodyMode : 'full';
+        this.lastCompactedAt = 0;
+    }
+
+    load() {
+        this.journal.load();
+        this.compact();
+    }
+
+    _body(text) {
+        const body = text || '';
+        return {
+            body: this.bodyMode === 'full' ? body : null,
+            bodyHash: body ? hashBody(body) : null,
+            bodyLength: body.length
+        };
+    }
+
+    _put(record) {
+        const stored = this.journal.put(record);
+        if (this.journal.needsCompaction() || Date.now() - this.lastCompactedAt > RETENTION_SWEEP_MS) {
+            this.compact();
+        }
+        return stored;
+    }
+
+    /**
+     * Record the current state of an outbound job. Called on every job change;
+     * writes nothing when none of the recorded fields changed.
+     * @param {object} job - Job from the JobStore
+     * @returns {object} - The history record
+     */
+    recordJob(job) {
+        const existing = this.journal.get(job.id);
+        const record = {
+            id: job.id,
+            direction: 'outbound',
+            session: job.session || null,
+            status: job.state,
+            ack: job.ack || null,
+            chatId: job.chatId,
+            to: job.to || job.chatId,
+            from: null,
+            sender: job.sender || null,
+            type: job.type || null,
+            apiKeyId: job.apiKeyId || null,
+            messageId: job.messageId || null,
+            jobId: job.id,
+            campaignId: job.campaignId || null,
+            ...this._body(jobBody(job)),
+            mediaType: job.media ? job.media.mimetype : null,
+            error: job.lastError || null,
+            createdAt: job.createdAt,
+            sentAt: job.sentAt || null,
+            updatedAt: job.updatedAt
+        };
+
+        if (existing && JSON.stringify({ ...existing, updatedAt: null }) === JSON.stringify({ ...record, updatedAt: null })) {
+            return existing;
+        }
+        return this._put(record);
+    }
+
+    /**
+     * Record a received message
+     * @param {object} entry - Inbox entry (output of normalizeInboundMessage plus `session`)
+     * @returns {object} - The history record
+     */
+    recordInbound(entry) {
+        return this._put({
+            id: `in:${entry.session}:${entry.messageId || entry.id}`,
+            direction: 'inbound',
+            session: entry.session,
+            status: 'received',
+            ack: null,
+            chatId: entry.chatId,
+            to: null,
+            from: entry.sender,
+            sender: entry.senderName || null,
+            type: entry.type || null,
+            apiKeyId: null,
+            messageId: entry.messageId,
+            jobId: null,
+            campaignId: null,
+            ...this._body(entry.body),
+            mediaType: entry.hasMedia ? entry.type : null,
+            error: null,
+            createdAt: entry.timestamp,
+            sentAt: null,
+            updatedAt: entry.receivedAt || entry.timestamp
+        });
+    }
+
+    /**
+     * Search records, newest first
+     * @param {object} filters - Query filters
+     * @param {string[]} filters.chatIds - Chat ids or numbers matching the recipient (or sender, for inbound)
+     * @param {Date} filters.since - Created at or after
+     * @param {Date} filters.until - Created before
+     * @param {string[]} filters.types - Message types
+     * @param {string[]} filters.statuses - Job states or receipt statuses (delivered, read, ...)
+     * @param {string} filters.direction - `outbound` or `inbound`
+     * @param {string} filters.session - Session id
+     * @param {string} filters.apiKeyId - Only messages sent with this API key
+     * @param {number} filters.offset - Records to skip
+     * @param {number} filters.limit - Page size; omit to return everything (exports)
+     * @returns {object} - `{ messages, total }`
+     */
+    search(filters = {}) {
+        const { chatIds, since, until, types, statuses, direction, session, apiKeyId } = filters;
+        const sinceMs = since ? since.getTime() : null;
+        const untilMs = until ? until.getTime() : null;
+
+        const matches = this.journal.values().filter(record => {
+            const createdMs = Date.parse(record.createdAt);
+            return (!chatIds || chatIds.some(id => id === record.chatId || id === record.to || id === record.from))
+                && (sinceMs === null || createdMs >= sinceMs)
+                && (untilMs === null || createdMs < untilMs)
+                && (!types || types.includes(record.type))
+                && (!statuses || statuses.includes(record.status) || statuses.includes(record.ack))
+                && (!direction || record.direction === direction)
+                && (!session || record.session === session)
+                && (!apiKeyId || record.apiKeyId === apiKeyId);
+        });
+        matches.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+
+        const offset = filters.offset || 0;
+        return {
+            messages: filters.limit ? matches.slice(offset, offset + filters.limit) : matches.slice(offset),
+            total: matches.length
+        };
+    }
+
+    /**
+     * Render records as CSV with a header row
+     * @param {object[]} records - History records
+     * @returns {string}
+     */
+    toCsv(records) {
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const record of records) {
+            lines.push(CSV_COLUMNS.map(column => csvCell(record[column])).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Drop records older than the retention period
+     * @returns {number} - Number of records dropped
+     */
+    compact() {
+        const cutoff = Date.now() - this.retentionMs;
+        const dropped = this.journal.compact(record => Date.parse(record.createdAt) >= cutoff);
+        this.lastCompactedAt = Date.now();
+
+        if (dropped.length > 0) {
+            logger.info(`Removed ${dropped.length} message history records past retention`);
+        }
+        return dropped.length;
+    }
+
+    close() {
+        this.journal.close();
+    }
+}
+
+module.exports = {
+    MessageHistory
+};
@@ -0,0 +1,207 @@
+/**
+ * Prometheus metrics for the gateway
+ */
+
+const client = require('prom-client');
+const { JOB_STATES } = require('./jobStore');
+const { classifySendError } = require('./retryPolicy');
+
+// Queue states reported as depth; terminal states are covered by the message counters
+const QUEUE_DEPTH_STATES = [JOB_STATES.SCHEDULED, JOB_STATES.QUEUED, JOB_STATES.SENDING, JOB_STATES.PAUSED];
+
+// Message types are caller-supplied, so cap how many distinct label values they can create
+const MAX_TYPE_LABELS = 50;
+
+/**
+ * Metrics registry wired to the job store and sessions. Counters are fed
+ * from session events; queue and session gauges are read at scrape time.
+ */
+class GatewayMetrics {
+    /**
+     * @param {object} options - Metrics options
+     * @param {object} options.jobStore - Shared JobStore
+     * @param {object} options.sessions - SessionManager
+     */
+    constructor(options) {
+        this.jobStore = options.jobStore;
+        this.sessions = options.sessions;
+        this.typeLabels = new Set();
+
+        this.registry = new client.Registry();
+        client.collectDefaultMetrics({ register: this.registry });
+
+        const registers = [this.registry];
+        const metrics = this;
+
+        this.messages = new client.Counter({
+            name: 'whatsapp_messages_total',
+            help: 'Messages that finished sending or expired in the queue, by outcome and message type',
+            labelNames: ['session', 'type', 'status'],
+            registers
+        });
+
+        this.sendDuration = new client.Histogram({
+            name: 'whatsapp_send_duration_seconds',
+            help: 'Time WhatsApp took to accept a message, from the start of the send attempt',
+            labelNames: ['session'],
+            buckets: [0.25, 0.5, 1, 2, 5, 10, 30, 60, 120],
+            registers
+        });
+
+        this.retries = new client.Counter({
+            name: 'whatsapp_send_retries_total',
+            help: 'Failed send attempts that were scheduled for a retry, by error kind',
+            labelNames: ['session', 'kind'],
+            registers
+        });
+
+        this.recoveries = new client.Counter({
+            name: 'whatsapp_session_recoveries_total',
+            help: 'Session restarts, by reason (page_crash, conflict, disconnected, health_check, ...)',
+            labelNames: ['session', 'reason'],
+            registers
+        });
+
+        this.initializations = new client.Counter({
+            name: 'whatsapp_session_initialization_attempts_total',
+            help: 'WhatsApp client start attempts',
+            labelNames: ['session'],
+            registers
+        });
+
+        new client.Gauge({
+            name: 'whatsapp_queue_depth',
+            help: 'Jobs waiting in the send queue, by state',
+            labelNames: ['session', 'state'],
+            registers,
+            collect() {
+                this.reset();
+                for (const session of metrics.sessions.list()) {
+                    for (const state of QUEUE_DEPTH_STATES) {
+                        this.set({ session: session.id, state }, metrics.jobStore.list(state, session.id).length);
+                    }
+                }
+            }
+        });
+
+        new client.Gauge({
+            name: 'whatsapp_queue_oldest_job_age_seconds',
+            help: 'Age of the oldest queued job, 0 when the queue is empty',
+            labelNames: ['session'],
+            registers,
+            collect() {
+                this.reset();
+                const now = Date.now();
+                for (const session of metrics.sessions.list()) {
+                    const created = metrics.jobStore.list(JOB_STATES.QUEUED, session.id).map(job => Date.parse(job.createdAt));
+                    this.set({ session: session.id }, created.length > 0 ? (now - Math.min(...created)) / 1000 : 0);
+                }
+            }
+        });
+
+        new client.Gauge({
+            name: 'whatsapp_dead_letter_jobs',
+            help: 'Jobs in the dead-letter queue waiting to be requeued or purged',
+            labelNames: ['session'],
+            registers,
+            collect() {
+                this.reset();
+                for (const session of metrics.sessions.list()) {
+                    this.set({ session: session.id }, metrics.jobStore.listDeadLetters(session.id).length);
+                }
+            }
+        });
+
+        new client.Gauge({
+            name: 'whatsapp_session_ready',
+            help: '1 when the session is connected and can send',
+            labelNames: ['session'],
+            registers,
+            collect() {
+                this.reset();
+                for (const session of metrics.sessions.list()) {
+                    this.set({ session: session.id }, session.ready ? 1 : 0);
+                }
+            }
+        });
+
+        new client.Gauge({
+            name: 'whatsapp_session_initialization_attempt',
+            help: 'Current initialization attempt, reset to 0 once the session is ready',
+            labelNames: ['session'],
+            registers,
+            collect() {
+                this.reset();
+                for (const session of metrics.sessions.list()) {
+                    this.set({ session: session.id }, session.initializationAttempts);
+                }
+            }
+        });
+
+        new client.Gauge({
+            name: 'whatsapp_session_seconds_since_ready',
+            help: 'Seconds since the session last became ready; absent if it never did',
+            labelNames: ['session'],
+            registers,
+            collect() {
+                this.reset();
+                const now = Date.now();
+                for (const session of metrics.sessions.list()) {
+                    if (session.lastReadyAt) {
+                        this.set({ session: session.id }, (now - session.lastReadyAt.getTime()) / 1000);
+                    }
+                }
+            }
+        });
+
+        this.sessions.on('job_settled', (session, job, error) => this._recordJob(session, job, error));
+        this.sessions.on('job_retry', (session, job, error) => {
+            this.retries.inc({ session: session.id, kind: classifySendError(error) });
+        });
+        this.sessions.on('job_expired', (session, job) => {
+            this.messages.inc({ session: session.id, type: this._typeLabel(job.type), status: 'expired' });
+        });
+        this.sessions.on('recovery', (session, reason) => this.recoveries.inc({ session: session.id, reason }));
+        this.sessions.on('initializing', session => this.initializations.inc({ session: session.id }));
+    }
+
+    _typeLabel(type) {
+        const label = String(type || 'unknown').toLowerCase().replace(/[^a-z0-9_]+/g, '_').slice(0, 32);
+        if (this.typeLabels.has(label)) {
+            return label;
+        }
+        if (this.typeLabels.size >= MAX_TYPE_LABELS) {
+            return 'other';
+        }
+        this.typeLabels.add(label);
+        return label;
+    }
+
+    _recordJob(session, job, error) {
+        this.messages.inc({
+            session: session.id,
+            type: this._typeLabel(job.type),
+            status: error ? 'failed' : 'sent'
+        });
+
+        if (!error && job.lastAttemptAt) {
+            this.sendDuration.observe({ session: session.id }, (Date.now() - Date.parse(job.lastAttemptAt)) / 1000);
+        }
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    /**
+     * Current metrics in the Prometheus text format
+     * @returns {Promise<string>}
+     */
+    render() {
+        return this.registry.metrics();
+    }
+}
+
+module.exports = {
+    GatewayMetrics
+};
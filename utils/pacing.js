@@ -0,0 +1,194 @@
+/**
+ * Send pacing for a session's queue: rate caps, jitter, recipient cooldowns and a daily quota
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Read pacing limits from the environment. A limit of 0 means "no limit".
+ * @param {object} env - Environment to read from
+ * @returns {object} - Pacer options
+ */
+function loadPacingConfig(env = process.env) {
+    const number = (name, fallback) => {
+        const value = parseInt(env[name], 10);
+        return Number.isNaN(value) || value < 0 ? fallback : value;
+    };
+
+    return {
+        // The queue has always waited a second between messages
+        minDelayMs: number('QUEUE_MIN_DELAY_MS', 1000),
+        jitterMs: number('QUEUE_JITTER_MS', 0),
+        maxPerMinute: number('QUEUE_MAX_PER_MINUTE', 0),
+        maxPerHour: number('QUEUE_MAX_PER_HOUR', 0),
+        dailyQuota: number('QUEUE_DAILY_QUOTA', 0),
+        recipientCooldownMs: number('QUEUE_RECIPIENT_COOLDOWN_SECONDS', 0) * 1000
+    };
+}
+
+// Start of the next calendar day in the server's timezone (TZ)
+function nextMidnight(now) {
+    const date = new Date(now);
+    date.setHours(24, 0, 0, 0);
+    return date.getTime();
+}
+
+/**
+ * Tracks recent sends for one session and decides when the next one may go out
+ */
+class Pacer {
+    /**
+     * @param {object} options - Output of loadPacingConfig
+     */
+    constructor(options = {}) {
+        this.minDelayMs = options.minDelayMs !== undefined ? options.minDelayMs : 1000;
+        this.jitterMs = options.jitterMs || 0;
+        this.maxPerMinute = options.maxPerMinute || 0;
+        this.maxPerHour = options.maxPerHour || 0;
+        this.dailyQuota = options.dailyQuota || 0;
+        this.recipientCooldownMs = options.recipientCooldownMs || 0;
+
+        // Send times within the last day, oldest first
+        this.sends = [];
+        this.lastSendByRecipient = new Map();
+        this.nextSendAt = 0;
+    }
+
+    /**
+     * Restore send history, e.g. from jobs sent before a restart, so quotas survive it
+     * @param {object[]} sends - `{ chatId, at }` entries with `at` in ms
+     */
+    seed(sends) {
+        const cutoff = Date.now() - DAY_MS;
+        for (const { chatId, at } of sends) {
+            if (!(at > cutoff)) {
+                continue;
+            }
+            this.sends.push(at);
+            if (!(this.lastSendByRecipient.get(chatId) >= at)) {
+                this.lastSendByRecipient.set(chatId, at);
+            }
+        }
+        this.sends.sort((a, b) => a - b);
+    }
+
+    /**
+     * Note that a message went out (or was attempted) to a chat
+     * @param {string} chatId - Recipient chat id
+     * @param {number} at - Send time in ms
+     */
+    recordSend(chatId, at = Date.now()) {
+        this.sends.push(at);
+        this.lastSendByRecipient.set(chatId, at);
+        this._prune(at);
+
+        this.nextSendAt = at + this.minDelayMs + Math.floor(Math.random() * (this.jitterMs + 1));
+    }
+
+    _prune(now) {
+        const cutoff = now - DAY_MS;
+        while (this.sends.length > 0 && this.sends[0] <= cutoff) {
+            this.sends.shift();
+        }
+        if (this.recipientCooldownMs > 0) {
+            for (const [chatId, at] of this.lastSendByRecipient) {
+                if (at <= now - this.recipientCooldownMs) {
+                    this.lastSendByRecipient.delete(chatId);
+                }
+            }
+        } else {
+            this.lastSendByRecipient.clear();
+        }
+    }
+
+    _countSince(since) {
+        return this.sends.filter(at => at > since).length;
+    }
+
+    // When a rolling window cap frees a slot again, or 0 if it isn't full
+    _windowWait(limit, windowMs, now) {
+        if (!limit) {
+            return 0;
+        }
+
+        const inWindow = this.sends.filter(at => at > now - windowMs);
+        if (inWindow.length < limit) {
+            return 0;
+        }
+        return inWindow[inWindow.length - limit] + windowMs - now;
+    }
+
+    _dayStart(now) {
+        return nextMidnight(now) - DAY_MS;
+    }
+
+    /**
+     * How long the queue must wait before its next send, and why
+     * @param {number} now - Current time in ms
+     * @returns {object} - `{ waitMs, reason }`; reason is null when waitMs is 0
+     */
+    nextSendDelay(now = Date.now()) {
+        this._prune(now);
+
+        if (this.dailyQuota && this._countSince(this._dayStart(now)) >= this.dailyQuota) {
+            return { waitMs: nextMidnight(now) - now, reason: 'daily_quota' };
+        }
+
+        const candidates = [
+            { waitMs: this._windowWait(this.maxPerHour, HOUR_MS, now), reason: 'hourly_limit' },
+            { waitMs: this._windowWait(this.maxPerMinute, MINUTE_MS, now), reason: 'minute_limit' },
+            { waitMs: this.nextSendAt - now, reason: 'delay' }
+        ];
+        const longest = candidates.reduce((a, b) => (b.waitMs > a.waitMs ? b : a));
+        return longest.waitMs > 0 ? longest : { waitMs: 0, reason: null };
+    }
+
+    /**
+     * When a recipient's cooldown ends (ms), or 0 if it can be messaged now
+     * @param {string} chatId - Recipient chat id
+     * @param {number} now - Current time in ms
+     * @returns {number}
+     */
+    recipientReadyAt(chatId, now = Date.now()) {
+        const last = this.lastSendByRecipient.get(chatId);
+        if (!this.recipientCooldownMs || last === undefined) {
+            return 0;
+        }
+
+        const readyAt = last + this.recipientCooldownMs;
+        return readyAt > now ? readyAt : 0;
+    }
+
+    /**
+     * Current usage against every limit, for status endpoints
+     * @param {number} now - Current time in ms
+     * @returns {object}
+     */
+    usage(now = Date.now()) {
+        const { waitMs, reason } = this.nextSendDelay(now);
+
+        return {
+            minute: { used: this._countSince(now - MINUTE_MS), limit: this.maxPerMinute || null },
+            hour: { used: this._countSince(now - HOUR_MS), limit: this.maxPerHour || null },
+            day: {
+                used: this._countSince(this._dayStart(now)),
+                limit: this.dailyQuota || null,
+                resetsAt: new Date(nextMidnight(now)).toISOString()
+            },
+            min_delay_ms: this.minDelayMs,
+            jitter_ms: this.jitterMs,
+            recipient_cooldown_seconds: this.recipientCooldownMs / 1000,
+            recipients_cooling_down: this.lastSendByRecipient.size,
+            // Only report waits that hold the queue noticeably longer than the regular delay
+            paused_until: reason && reason !== 'delay' ? new Date(now + waitMs).toISOString() : null,
+            paused_reason: reason && reason !== 'delay' ? reason : null
+        };
+    }
+}
+
+module.exports = {
+    Pacer,
+    loadPacingConfig
+};
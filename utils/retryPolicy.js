@@ -0,0 +1,87 @@
+/**
+ * Retry policy for queued sends: which failures are worth another attempt and when
+ */
+
+const { backoffDelay } = require('./helpers');
+
+// Failures that will happen again however often the job is retried
+const PERMANENT_ERRORS = [
+    /invalid wid|wid error/i,
+    /not a valid (phone|number|chat)/i,
+    /Could not get the quoted message|to reply to was not found/i,
+    // The stored media file is gone
+    /ENOENT/,
+    /file too large|too large to send/i
+];
+
+// The browser page or WhatsApp Web connection broke; the session is restarted before the retry
+const SESSION_ERRORS = [
+    /Session closed/i,
+    /Protocol error/i,
+    /Target closed/i,
+    /Execution context was destroyed/i,
+    /page has been closed|detached Frame/i,
+    /WhatsApp client is not ready/i
+];
+
+const ERROR_KINDS = {
+    PERMANENT: 'permanent',
+    SESSION: 'session',
+    // Anything else (timeouts, rate limits, unexplained page errors) is retried as is
+    TRANSIENT: 'transient'
+};
+
+/**
+ * Read the send retry policy from the environment
+ * @param {object} env - Environment to read from
+ * @returns {object} - `{ maxAttempts, baseDelayMs, maxDelayMs }`
+ */
+function loadRetryPolicy(env = process.env) {
+    const number = (name, fallback, min) => {
+        const value = parseInt(env[name], 10);
+        return Number.isNaN(value) || value < min ? fallback : value;
+    };
+
+    return {
+        maxAttempts: number('SEND_MAX_ATTEMPTS', 3, 1),
+        baseDelayMs: number('SEND_RETRY_BASE_DELAY_MS', 5000, 0),
+        maxDelayMs: number('SEND_RETRY_MAX_DELAY_MS', 5 * 60 * 1000, 0)
+    };
+}
+
+/**
+ * Decide whether a failed send should be retried
+ * @param {Error} error - Error thrown while sending
+ * @returns {string} - One of ERROR_KINDS
+ */
+function classifySendError(error) {
+    const message = (error && error.message) || String(error);
+    if (PERMANENT_ERRORS.some(pattern => pattern.test(message))) {
+        return ERROR_KINDS.PERMANENT;
+    }
+    if (SESSION_ERRORS.some(pattern => pattern.test(message))) {
+        return ERROR_KINDS.SESSION;
+    }
+    return ERROR_KINDS.TRANSIENT;
+}
+
+/**
+ * When a failed job should be attempted again
+ * @param {object} policy - Output of loadRetryPolicy
+ * @param {object} job - Job after the failed attempt
+ * @param {Error} error - Error thrown while sending
+ * @returns {number|null} - Delay in ms, or null when the job goes to the dead-letter queue
+ */
+function nextRetryDelay(policy, job, error) {
+    if (classifySendError(error) === ERROR_KINDS.PERMANENT || job.attempts >= policy.maxAttempts) {
+        return null;
+    }
+    return backoffDelay(job.attempts, policy.baseDelayMs, policy.maxDelayMs);
+}
+
+module.exports = {
+    ERROR_KINDS,
+    classifySendError,
+    loadRetryPolicy,
+    nextRetryDelay
+};
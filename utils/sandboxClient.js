@@ -0,0 +1,392 @@
+/**
+ * Offline stand-in for the whatsapp-web.js Client (WA_DRIVER=sandbox)
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { sleep } = require('./helpers');
+
+// Faults that make upcoming sends fail; the others act right away
+const SEND_FAULTS = ['send_error', 'session_error', 'marked_unread'];
+const FAULT_KINDS = [...SEND_FAULTS, 'disconnect', 'page_crash', 'freeze', 'logout'];
+
+// Worded like the errors a real client throws, so the retry policy classifies them the same way
+const FAULT_ERRORS = {
+    send_error: 'Sandbox: simulated send failure',
+    session_error: 'Protocol error (Runtime.callFunctionOn): Session closed. Most likely the page has been closed.',
+    marked_unread: 'Cannot read properties of undefined (reading \'markedUnread\')'
+};
+
+// Messages kept per chat, for quoting
+const CHAT_HISTORY_LIMIT = 200;
+
+/**
+ * Read sandbox behaviour from the environment
+ * @param {object} env - Environment to read from
+ * @returns {object}
+ */
+function loadSandboxConfig(env = process.env) {
+    const number = (name, fallback) => {
+        const value = parseInt(env[name], 10);
+        return Number.isNaN(value) || value < 0 ? fallback : value;
+    };
+    const rate = name => {
+        const value = parseFloat(env[name]);
+        return Number.isNaN(value) ? 0 : Math.min(Math.max(value, 0), 1);
+    };
+
+    return {
+        phone: (env.SANDBOX_PHONE || '6280000000000').replace(/\D/g, ''),
+        readyDelayMs: number('SANDBOX_READY_DELAY_MS', 500),
+        sendDelayMs: number('SANDBOX_SEND_DELAY_MS', 100),
+        // Delivered after one delay, read after two
+        ackDelayMs: number('SANDBOX_ACK_DELAY_MS', 1000),
+        failureRate: rate('SANDBOX_FAILURE_RATE'),
+        markedUnreadRate: rate('SANDBOX_MARKED_UNREAD_RATE'),
+        // Drop the connection after every N sends (0 = never)
+        disconnectEvery: number('SANDBOX_DISCONNECT_EVERY', 0),
+        unregisteredNumbers: (env.SANDBOX_UNREGISTERED_NUMBERS || '').split(',').map(phone => phone.replace(/\D/g, '')).filter(Boolean)
+    };
+}
+
+function randomMessageId() {
+    return `SANDBOX${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+}
+
+// Message type and body whatsapp-web.js would report for sent content
+function describeContent(content, options) {
+    if (typeof content === 'string') {
+        return { type: content.startsWith('BEGIN:VCARD') ? 'vcard' : 'chat', body: content, hasMedia: false };
+    }
+    if (content.mimetype) {
+        const kind = content.mimetype.split('/')[0];
+        const type = !options.sendMediaAsDocument && ['image', 'video', 'audio'].includes(kind) ? kind : 'document';
+        return { type, body: options.caption || '', hasMedia: true };
+    }
+    if (content.latitude !== undefined) {
+        return { type: 'location', body: '', hasMedia: false };
+    }
+    if (content.pollName !== undefined) {
+        return { type: 'poll_creation', body: content.pollName, hasMedia: false };
+    }
+    return { type: 'unknown', body: '', hasMedia: false };
+}
+
+// Stands in for the puppeteer page, which sessions watch for crashes
+class SandboxPage extends EventEmitter {
+    constructor() {
+        super();
+        this.closed = false;
+    }
+
+    isClosed() {
+        return this.closed;
+    }
+}
+
+/**
+ * Behaves like a paired whatsapp-web.js Client without a browser or network:
+ * becomes ready after a short delay, accepts sends, reports delivery and read
+ * receipts, and fails on demand. Inbound messages are injected with
+ * `receive()`, failures with `injectFault()` or the configured rates.
+ */
+class SandboxClient extends EventEmitter {
+    /**
+     * @param {string} clientId - Session id
+     * @param {object} config - Output of loadSandboxConfig
+     */
+    constructor(clientId, config = loadSandboxConfig()) {
+        super();
+        this.clientId = clientId;
+        this.config = config;
+        this.info = null;
+        this.pupPage = null;
+        this.state = null;
+        this.destroyed = false;
+        // Set by the `freeze` fault: the page stops answering
+        this.frozen = false;
+        // chatId -> recent messages
+        this.chats = new Map();
+        // groupId -> { name, owner, participants, createdAt }
+        this.groups = new Map();
+        // Send faults queued by injectFault, used one per send
+        this.pendingFaults = [];
+        this.sendCount = 0;
+        this.timers = new Set();
+    }
+
+    get wid() {
+        return { user: this.config.phone, server: 'c.us', _serialized: `${this.config.phone}@c.us` };
+    }
+
+    _later(fn, delayMs) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            if (!this.destroyed) {
+                fn();
+            }
+        }, delayMs);
+        timer.unref();
+        this.timers.add(timer);
+    }
+
+    _requireConnected() {
+        if (this.destroyed || this.state !== 'CONNECTED') {
+            throw new Error('Protocol error (Runtime.callFunctionOn): Session closed.');
+        }
+    }
+
+    async initialize() {
+        await sleep(this.config.readyDelayMs);
+        if (this.destroyed) {
+            throw new Error('Sandbox client was destroyed before it became ready');
+        }
+
+        this.pupPage = new SandboxPage();
+        this.info = { wid: this.wid, me: this.wid, pushname: `Sandbox ${this.clientId}`, platform: 'sandbox' };
+        this.state = 'CONNECTED';
+        this.emit('authenticated');
+        this.emit('ready');
+    }
+
+    async destroy() {
+        this.destroyed = true;
+        this.state = null;
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        if (this.pupPage) {
+            this.pupPage.closed = true;
+        }
+    }
+
+    async logout() {
+        await this.destroy();
+    }
+
+    async getState() {
+        if (this.frozen) {
+            return new Promise(() => {});
+        }
+        return this.state;
+    }
+
+    _remember(chatId, msg) {
+        const messages = this.chats.get(chatId) || [];
+        messages.push(msg);
+        this.chats.set(chatId, messages.slice(-CHAT_HISTORY_LIMIT));
+    }
+
+    _message({ chatId, fromMe, type, body, hasMedia, author, senderName, quotedMessageId }) {
+        const id = randomMessageId();
+        const me = this.wid._serialized;
+        return {
+            id: { fromMe, remote: chatId, id, _serialized: `${fromMe}_${chatId}_${id}` },
+            from: fromMe ? me : chatId,
+            to: fromMe ? chatId : me,
+            author: author || undefined,
+            fromMe,
+            type,
+            body,
+            hasMedia,
+            hasQuotedMsg: Boolean(quotedMessageId),
+            ack: fromMe ? 1 : 0,
+            timestamp: Math.floor(Date.now() / 1000),
+            _data: { notifyName: senderName || null, quotedStanzaID: quotedMessageId || null }
+        };
+    }
+
+    _nextSendFault() {
+        if (this.pendingFaults.length > 0) {
+            return this.pendingFaults.shift();
+        }
+        if (Math.random() < this.config.failureRate) {
+            return 'send_error';
+        }
+        if (Math.random() < this.config.markedUnreadRate) {
+            return 'marked_unread';
+        }
+        return null;
+    }
+
+    async sendMessage(chatId, content, options = {}) {
+        this._requireConnected();
+        await sleep(this.config.sendDelayMs);
+        this._requireConnected();
+
+        this.sendCount++;
+        if (this.config.disconnectEvery && this.sendCount % this.config.disconnectEvery === 0) {
+            this._later(() => this.disconnect('NAVIGATION'), 0);
+        }
+
+        const fault = this._nextSendFault();
+        if (fault === 'send_error' || fault === 'session_error') {
+            throw new Error(FAULT_ERRORS[fault]);
+        }
+
+        const quoted = options.quotedMessageId ? options.quotedMessageId.split('_').pop() : null;
+        const msg = this._message({ chatId, fromMe: true, quotedMessageId: quoted, ...describeContent(content, options) });
+        this._remember(chatId, msg);
+
+        if (fault === 'marked_unread') {
+            // The real client sends the message, then fails while marking the chat unread
+            throw new Error(FAULT_ERRORS.marked_unread);
+        }
+
+        this._later(() => this.emit('message_ack', msg, 2), this.config.ackDelayMs);
+        this._later(() => this.emit('message_ack', msg, 3), this.config.ackDelayMs * 2);
+        return msg;
+    }
+
+    /**
+     * Simulate an incoming message
+     * @param {object} message - Inbound message
+     * @param {string} message.from - Sender chat id (`...@c.us`, or a group `...@g.us`)
+     * @param {string} message.body - Text
+     * @param {string} message.author - Participant id, for group messages
+     * @param {string} message.senderName - Push name of the sender
+     * @param {string} message.quotedMessageId - Short id of the message this replies to
+     * @returns {object} - The message as emitted on `message`
+     */
+    receive({ from, body, author, senderName, quotedMessageId }) {
+        this._requireConnected();
+        const msg = this._message({
+            chatId: from,
+            fromMe: false,
+            type: 'chat',
+            body: body || '',
+            hasMedia: false,
+            author,
+            senderName,
+            quotedMessageId
+        });
+        this._remember(from, msg);
+        this.emit('message', msg);
+        return msg;
+    }
+
+    /**
+     * Make something go wrong
+     * @param {string} kind - One of FAULT_KINDS. Send faults fail the next `count`
+     *   sends; the others happen right away. `freeze` and `logout` leave the
+     *   page open without telling the session, as a hung or logged-out page does.
+     * @param {number} count - Sends to fail, for send faults
+     */
+    injectFault(kind, count = 1) {
+        if (!FAULT_KINDS.includes(kind)) {
+            throw new Error(`Unknown fault "${kind}"`);
+        }
+
+        if (kind === 'disconnect') {
+            this.disconnect('NAVIGATION');
+        } else if (kind === 'page_crash') {
+            if (this.pupPage) {
+                this.pupPage.emit('crash');
+            }
+        } else if (kind === 'freeze') {
+            this.frozen = true;
+        } else if (kind === 'logout') {
+            this.state = null;
+        } else {
+            for (let i = 0; i < count; i++) {
+                this.pendingFaults.push(kind);
+            }
+        }
+    }
+
+    disconnect(reason) {
+        if (this.state !== 'CONNECTED') {
+            return;
+        }
+        this.state = null;
+        this.emit('disconnected', reason);
+    }
+
+    async getNumberId(phone) {
+        this._requireConnected();
+        const digits = String(phone).replace(/\D/g, '');
+        if (this.config.unregisteredNumbers.includes(digits)) {
+            return null;
+        }
+        return { user: digits, server: 'c.us', _serialized: `${digits}@c.us` };
+    }
+
+    _chat(chatId) {
+        const group = this.groups.get(chatId);
+        const client = this;
+
+        return {
+            id: { user: chatId.split('@')[0], server: chatId.split('@')[1], _serialized: chatId },
+            name: group ? group.name : chatId.split('@')[0],
+            isGroup: Boolean(group),
+            groupMetadata: group ? {
+                desc: null,
+                owner: client.wid,
+                creation: group.creation,
+                announce: false,
+                participants: group.participants.map(id => ({
+                    id: { _serialized: id },
+                    isAdmin: id === client.wid._serialized,
+                    isSuperAdmin: id === client.wid._serialized
+                }))
+            } : undefined,
+            async fetchMessages({ limit = 50 } = {}) {
+                return (client.chats.get(chatId) || []).slice(-limit);
+            },
+            async addParticipants(ids) {
+                return client._addParticipants(group, ids);
+            },
+            async removeParticipants(ids) {
+                group.participants = group.participants.filter(id => !ids.includes(id));
+                return { status: 200 };
+            }
+        };
+    }
+
+    _addParticipants(group, ids) {
+        const results = {};
+        for (const id of ids) {
+            if (!group.participants.includes(id)) {
+                group.participants.push(id);
+            }
+            results[id] = { code: 200, message: 'The participant was added to the group', isInviteV4Sent: false };
+        }
+        return results;
+    }
+
+    async getChatById(chatId) {
+        this._requireConnected();
+        return this._chat(chatId);
+    }
+
+    async getChats() {
+        this._requireConnected();
+        const ids = new Set([...this.groups.keys(), ...this.chats.keys()]);
+        return [...ids].map(id => this._chat(id));
+    }
+
+    async getInviteInfo() {
+        this._requireConnected();
+        throw new Error('Sandbox: invite links are not supported');
+    }
+
+    async createGroup(name, participantIds) {
+        this._requireConnected();
+        const gid = `${Date.now()}${crypto.randomInt(1000, 9999)}@g.us`;
+        const group = { name, creation: Math.floor(Date.now() / 1000), participants: [this.wid._serialized] };
+        this.groups.set(gid, group);
+
+        return {
+            gid: { _serialized: gid },
+            title: name,
+            participants: this._addParticipants(group, participantIds)
+        };
+    }
+}
+
+module.exports = {
+    SandboxClient,
+    FAULT_KINDS,
+    loadSandboxConfig
+};
@@ -0,0 +1,108 @@
+/**
+ * Releases scheduled jobs into the send queue when their time comes
+ */
+
+const { logger } = require('./helpers');
+const { JOB_STATES } = require('./jobStore');
+
+// Re-check at least this often, so clock changes and long timeouts can't strand a job
+const MAX_TIMER_MS = 60 * 1000;
+
+/**
+ * Watches `scheduled` jobs in the JobStore. A due job is released once its
+ * session is ready: it becomes `queued`, or `expired` when it is later than
+ * the tolerance and its late policy is `expire`.
+ */
+class MessageScheduler {
+    /**
+     * @param {object} options - Scheduler options
+     * @param {object} options.jobStore - Shared JobStore
+     * @param {number} options.lateToleranceMs - How late a job may be released before its late policy applies
+     * @param {string} options.defaultLatePolicy - `send` or `expire` for jobs that didn't choose one
+     * @param {function} options.isSessionReady - Called with a session id; due jobs wait until it returns true
+     * @param {function} options.onQueued - Called with each job moved to the queue
+     * @param {function} options.onExpired - Called with each job that expired
+     */
+    constructor(options) {
+        this.jobStore = options.jobStore;
+        this.lateToleranceMs = options.lateToleranceMs !== undefined ? options.lateToleranceMs : 5 * 60 * 1000;
+        this.defaultLatePolicy = options.defaultLatePolicy || 'send';
+        this.isSessionReady = options.isSessionReady || (() => true);
+        this.onQueued = options.onQueued || (() => {});
+        this.onExpired = options.onExpired || (() => {});
+        this.timer = null;
+        this.stopped = true;
+    }
+
+    start() {
+        this.stopped = false;
+        this.run();
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Release every due job whose session is ready, then wait for the next one.
+     * Call again whenever a job is scheduled or a session becomes ready.
+     */
+    run() {
+        if (this.stopped) {
+            return;
+        }
+
+        const now = Date.now();
+        for (const job of this.jobStore.list(JOB_STATES.SCHEDULED)) {
+            const sendAt = Date.parse(job.sendAt);
+            if (sendAt > now || !this.isSessionReady(job.session)) {
+                continue;
+            }
+
+            const lateMs = now - sendAt;
+            const policy = job.latePolicy || this.defaultLatePolicy;
+            if (lateMs > this.lateToleranceMs && policy === 'expire') {
+                const expired = this.jobStore.update(job.id, {
+                    state: JOB_STATES.EXPIRED,
+                    lastError: `Not sent: scheduled for ${job.sendAt} but could only be released ${Math.round(lateMs / 1000)}s late`
+                });
+                logger.warn('Scheduled message expired', { jobId: job.id, session: job.session, sendAt: job.sendAt });
+                this.onExpired(expired);
+                continue;
+            }
+
+            if (lateMs > this.lateToleranceMs) {
+                logger.warn('Sending scheduled message late', { jobId: job.id, session: job.session, sendAt: job.sendAt, lateMs });
+            }
+            this.onQueued(this.jobStore.update(job.id, { state: JOB_STATES.QUEUED }));
+        }
+
+        this._arm(now);
+    }
+
+    _arm(now) {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        // Due jobs still held back by a session are picked up when it becomes ready
+        let next = null;
+        for (const job of this.jobStore.list(JOB_STATES.SCHEDULED)) {
+            const sendAt = Date.parse(job.sendAt);
+            next = Math.min(next === null ? Infinity : next, sendAt > now ? sendAt - now : MAX_TIMER_MS);
+        }
+
+        if (next !== null) {
+            this.timer = setTimeout(() => this.run(), Math.min(next, MAX_TIMER_MS));
+        }
+    }
+}
+
+module.exports = {
+    MessageScheduler
+};
@@ -0,0 +1,1082 @@
+/**
+ * A single WhatsApp number: its client, health monitor, recovery state and queue worker
+ */
+
+const EventEmitter = require('events');
+const { MessageMedia, Location, Poll } = require('whatsapp-web.js');
+const qrcode = require('qrcode-terminal');
+const { logger, sleep, splitMessage, buildVCard, PRIORITIES } = require('./helpers');
+const { JOB_STATES } = require('./jobStore');
+const { Pacer } = require('./pacing');
+const { ERROR_KINDS, classifySendError, loadRetryPolicy, nextRetryDelay } = require('./retryPolicy');
+const { AUTH_DATA_PATH, resolveClientDriver } = require('./clientDriver');
+
+const MAX_INIT_ATTEMPTS = 3;
+// Waits up to this long happen inside the queue loop; longer ones end it and schedule a wake-up
+const MAX_INLINE_WAIT_MS = 60 * 1000;
+// WhatsApp rotates the pairing QR roughly every 20 seconds
+const QR_TTL_MS = (parseInt(process.env.QR_TTL_SECONDS, 10) || 60) * 1000;
+// Number lookups hit WhatsApp's servers, so results are reused for a while
+const NUMBER_CACHE_TTL_MS = (parseInt(process.env.NUMBER_CHECK_CACHE_TTL_SECONDS, 10) || 6 * 60 * 60) * 1000;
+// How far back in a chat to look for the message a reply quotes
+const QUOTE_LOOKUP_LIMIT = 200;
+// A lane passed over this many sends in a row gets the next one, so bulk keeps moving
+const STARVATION_LIMIT = parseInt(process.env.QUEUE_STARVATION_LIMIT, 10) || 10;
+const NUMBER_CACHE_MAX_ENTRIES = 10000;
+// A getState() call slower than this means the page has stopped responding
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 10000;
+// Failed deep checks in a row before the monitor restarts the client
+const HEALTH_CHECK_FAILURE_THRESHOLD = parseInt(process.env.HEALTH_CHECK_FAILURE_THRESHOLD, 10) || 2;
+
+// Reject when the promise hasn't settled within timeoutMs
+function withTimeout(promise, timeoutMs, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Plain view of a whatsapp-web.js GroupChat for API responses
+function describeGroup(chat, withParticipants = false) {
+    const metadata = chat.groupMetadata || {};
+    const participants = metadata.participants || [];
+
+    return {
+        id: chat.id._serialized,
+        name: chat.name,
+        description: metadata.desc || null,
+        owner: metadata.owner ? metadata.owner._serialized : null,
+        createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+        // Only admins may post when the group is an announcement group
+        announce: Boolean(metadata.announce),
+        participantsCount: participants.length,
+        participants: withParticipants ? participants.map(participant => ({
+            id: participant.id._serialized,
+            isAdmin: Boolean(participant.isAdmin),
+            isSuperAdmin: Boolean(participant.isSuperAdmin)
+        })) : undefined
+    };
+}
+
+// whatsapp-web.js reports per-participant results as `{ [id]: { statusCode|code, message } }`,
+// or a string when the whole call failed
+function participantResults(result) {
+    if (typeof result === 'string') {
+        throw new Error(result);
+    }
+
+    return Object.entries(result || {}).map(([id, outcome]) => {
+        const code = outcome.statusCode || outcome.code;
+        return {
+            id,
+            ok: code === 200,
+            code,
+            message: outcome.message,
+            inviteSent: Boolean(outcome.isInviteV4Sent)
+        };
+    });
+}
+
+/**
+ * One WhatsApp session backed by its own LocalAuth clientId (or a sandbox client, see clientDriver).
+ *
+ * Emits:
+ * - `message_ack` (msg, ack) and `message` (msg) from the underlying client
+ * - `job_settled` (job, error, result) when a queued job is sent or fails for good (dead-lettered)
+ * - `job_retry` (job, error, delayMs) when a failed send will be attempted again
+ * - `job_expired` (job) when a queued job's time to live runs out before it is sent
+ * - `qr` (qr), `qr_expired`, `authenticated` and `ready` while pairing
+ * - `initializing` (attempt) for every client start and `recovery` (reason) when the session restarts itself
+ */
+class WhatsAppSession extends EventEmitter {
+    /**
+     * @param {object} options - Session options
+     * @param {string} options.id - Session id, also used as the LocalAuth clientId
+     * @param {object} options.jobStore - Shared JobStore
+     * @param {object} options.mediaStore - Shared MediaStore
+     * @param {object} options.pacing - Pacer options (see loadPacingConfig)
+     * @param {object} options.retryPolicy - Send retry policy (see loadRetryPolicy)
+     * @param {Function} options.createClient - Client factory (see resolveClientDriver); defaults to the web driver
+     */
+    constructor({ id, jobStore, mediaStore, pacing, retryPolicy, createClient }) {
+        super();
+        this.id = id;
+        this.createClient = createClient || resolveClientDriver('web');
+        this.jobStore = jobStore;
+        this.mediaStore = mediaStore;
+        this.pacer = new Pacer(pacing);
+        this.retryPolicy = retryPolicy || loadRetryPolicy();
+        // Count sends from before a restart against the rate caps and daily quota
+        this.pacer.seed(jobStore.list(JOB_STATES.SENT, id)
+            .filter(job => job.sentAt)
+            .map(job => ({ chatId: job.chatId, at: Date.parse(job.sentAt) })));
+        this.queueWakeTimer = null;
+        // Sends each lane has been passed over for since it was last served
+        this.laneSkips = {};
+
+        this.client = null;
+        this.ready = false;
+        this.initializationAttempts = 0;
+        this.healthCheckInterval = null;
+        this.processingQueue = false;
+        // Job being handed to WhatsApp right now, if any
+        this.sendingJob = null;
+        // Set on shutdown: the queue takes no further jobs
+        this.queueStopped = false;
+        this.lastHealthCheck = null;
+        // Result of the last deepHealthCheck
+        this.lastHealth = null;
+        this.pendingHealthCheck = null;
+        this.healthCheckFailures = 0;
+        this.lastReadyAt = null;
+        this.restartInProgress = false;
+        this.destroyed = false;
+        this.qr = null;
+        this.qrTimer = null;
+        this.numberCache = new Map();
+    }
+
+    _setQr(value) {
+        this._clearQr();
+
+        const now = Date.now();
+        this.qr = {
+            value,
+            receivedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + QR_TTL_MS).toISOString()
+        };
+        this.qrTimer = setTimeout(() => {
+            this.qr = null;
+            this.qrTimer = null;
+            this.emit('qr_expired');
+        }, QR_TTL_MS);
+        this.qrTimer.unref();
+
+        this.emit('qr', this.qr);
+    }
+
+    _clearQr() {
+        if (this.qrTimer) {
+            clearTimeout(this.qrTimer);
+            this.qrTimer = null;
+        }
+        this.qr = null;
+    }
+
+    /**
+     * Current pairing QR, or null once paired or expired
+     * @returns {object|null} - `{ value, receivedAt, expiresAt }`
+     */
+    currentQr() {
+        return this.qr;
+    }
+
+    _log(level, message, meta = {}) {
+        logger[level](message, { session: this.id, ...meta });
+    }
+
+    /**
+     * Quick check that the client is ready and its page still open. It can't
+     * tell a logged-out or frozen page from a working one; see deepHealthCheck.
+     * @returns {boolean}
+     */
+    checkHealth() {
+        if (!this.client || !this.ready) {
+            return false;
+        }
+
+        try {
+            // Simple check to see if client is still responsive
+            return Boolean(this.client.pupPage && !this.client.pupPage.isClosed());
+        } catch (error) {
+            this._log('warn', 'Session health check failed:', { error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Check the session from inside the page: the client must be ready, its
+     * page open, and WhatsApp Web must answer getState() with CONNECTED in
+     * time. Concurrent callers share one check.
+     * @param {number} timeoutMs - How long getState() may take
+     * @returns {Promise<object>} - `{ healthy, failedCheck, error, state, checks, latencyMs, checkedAt }`;
+     *   `failedCheck` is `client`, `page` or `state`
+     */
+    deepHealthCheck(timeoutMs = HEALTH_CHECK_TIMEOUT_MS) {
+        if (!this.pendingHealthCheck) {
+            this.pendingHealthCheck = this._runDeepHealthCheck(timeoutMs).finally(() => {
+                this.pendingHealthCheck = null;
+            });
+        }
+        return this.pendingHealthCheck;
+    }
+
+    async _runDeepHealthCheck(timeoutMs) {
+        const started = Date.now();
+        // Checks after the first failure are skipped and stay null
+        const checks = { client: null, page: null, state: null };
+        let state = null;
+
+        const finish = (failedCheck, error) => {
+            if (failedCheck) {
+                checks[failedCheck] = false;
+            }
+            this.lastHealthCheck = new Date();
+            this.lastHealth = {
+                healthy: !failedCheck,
+                failedCheck,
+                error,
+                state,
+                checks,
+                latencyMs: Date.now() - started,
+                checkedAt: this.lastHealthCheck.toISOString()
+            };
+            return this.lastHealth;
+        };
+
+        if (!this.client || !this.ready) {
+            return finish('client', this.restartInProgress ? 'Client is restarting' : 'Client is not ready');
+        }
+        checks.client = true;
+
+        if (!this.checkHealth()) {
+            return finish('page', 'Browser page is closed');
+        }
+        checks.page = true;
+
+        try {
+            state = await withTimeout(this.client.getState(), timeoutMs, `getState() did not answer within ${timeoutMs}ms`);
+        } catch (error) {
+            return finish('state', error.message);
+        }
+        if (state !== 'CONNECTED') {
+            return finish('state', state ? `WhatsApp state is ${state}` : 'WhatsApp Web is not logged in');
+        }
+        checks.state = true;
+
+        return finish(null, null);
+    }
+
+    /**
+     * Whether the session stopped trying to start its client; only a restart brings it back
+     * @returns {boolean}
+     */
+    get initializationFailed() {
+        return !this.client && !this.restartInProgress && this.initializationAttempts >= MAX_INIT_ATTEMPTS;
+    }
+
+    // Start session health monitoring
+    startHealthMonitoring() {
+        this.stopHealthMonitoring();
+        this.healthCheckFailures = 0;
+
+        this.healthCheckInterval = setInterval(async () => {
+            if (!this.ready || this.restartInProgress) {
+                return;
+            }
+
+            const health = await this.deepHealthCheck();
+            if (health.healthy) {
+                this.healthCheckFailures = 0;
+                return;
+            }
+
+            this.healthCheckFailures++;
+            this._log('warn', 'Session health check failed', {
+                failedCheck: health.failedCheck,
+                error: health.error,
+                failures: this.healthCheckFailures
+            });
+
+            // One slow answer can be a busy page; recover once it keeps failing
+            if (this.healthCheckFailures >= HEALTH_CHECK_FAILURE_THRESHOLD && !this.restartInProgress) {
+                this._log('warn', 'Session unhealthy, attempting to recover...');
+                await this.recover('health_check');
+            }
+        }, 30000); // Check every 30 seconds
+    }
+
+    stopHealthMonitoring() {
+        if (this.healthCheckInterval) {
+            clearInterval(this.healthCheckInterval);
+            this.healthCheckInterval = null;
+        }
+    }
+
+    /**
+     * Restart the client after a failure
+     * @param {string} reason - Why, e.g. `page_crash`, `conflict` or `manual`; reported in metrics
+     */
+    async recover(reason = 'manual') {
+        if (this.restartInProgress) {
+            this._log('info', 'Session restart already in progress, skipping...');
+            return;
+        }
+
+        this.restartInProgress = true;
+        this._log('info', 'Starting session recovery...', { reason });
+        this.emit('recovery', reason);
+
+        try {
+            // Try to destroy existing client gracefully
+            await this._destroyClient();
+
+            // Wait a moment before reinitializing
+            await sleep(3000);
+
+            // Reinitialize client
+            const success = await this.initialize();
+
+            if (success) {
+                this._log('info', 'Session recovery completed successfully');
+            } else {
+                this._log('error', 'Session recovery failed');
+            }
+        } catch (error) {
+            this._log('error', 'Error during session recovery:', { error: error.message });
+        } finally {
+            this.restartInProgress = false;
+        }
+
+        // The ready event fired while the restart was still in progress, so the queue didn't start then
+        if (this.ready) {
+            this.processQueue();
+        }
+    }
+
+    /**
+     * Wait until the client is ready again after a recovery
+     * @param {number} timeoutMs - How long to wait
+     * @returns {Promise<boolean>} - Whether the session became ready
+     */
+    async waitUntilReady(timeoutMs = 30000) {
+        const deadline = Date.now() + timeoutMs;
+        while (!this.ready && Date.now() < deadline) {
+            await sleep(1000);
+        }
+        return this.ready;
+    }
+
+    /**
+     * Look up whether a number has a WhatsApp account and its canonical WID.
+     * The WID can differ from `<number>@c.us` (e.g. Brazilian and Mexican numbers),
+     * so sends should use it when available.
+     * @param {string} phone - Number in E.164 digits, without "+"
+     * @returns {Promise<object>} - `{ registered, wid, checkedAt, cached }`
+     */
+    async checkNumber(phone) {
+        const cached = this.numberCache.get(phone);
+        if (cached && cached.expiresAt > Date.now()) {
+            return { registered: cached.registered, wid: cached.wid, checkedAt: cached.checkedAt, cached: true };
+        }
+
+        if (!this.client || !this.ready) {
+            throw new Error('WhatsApp client is not ready');
+        }
+
+        const numberId = await this.client.getNumberId(phone);
+        const entry = {
+            registered: Boolean(numberId),
+            wid: numberId ? numberId._serialized : null,
+            checkedAt: new Date().toISOString(),
+            expiresAt: Date.now() + NUMBER_CACHE_TTL_MS
+        };
+
+        // Re-insert so Map order tracks recency, then drop the oldest entry
+        this.numberCache.delete(phone);
+        this.numberCache.set(phone, entry);
+        if (this.numberCache.size > NUMBER_CACHE_MAX_ENTRIES) {
+            this.numberCache.delete(this.numberCache.keys().next().value);
+        }
+
+        return { registered: entry.registered, wid: entry.wid, checkedAt: entry.checkedAt, cached: false };
+    }
+
+    _requireReady() {
+        if (!this.client || !this.ready) {
+            throw new Error('WhatsApp client is not ready');
+        }
+    }
+
+    /**
+     * Groups this session's account is a member of
+     * @returns {Promise<object[]>} - Group summaries, without participant lists
+     */
+    async listGroups() {
+        this._requireReady();
+        const chats = await this.client.getChats();
+        return chats.filter(chat => chat.isGroup).map(chat => describeGroup(chat));
+    }
+
+    /**
+     * Metadata and participants of one group
+     * @param {string} groupId - Group id (`...@g.us`)
+     * @returns {Promise<object|null>} - null when the account isn't in such a group
+     */
+    async getGroup(groupId) {
+        const chat = await this._getGroupChat(groupId);
+        return chat ? describeGroup(chat, true) : null;
+    }
+
+    async _getGroupChat(groupId) {
+        this._requireReady();
+        try {
+            const chat = await this.client.getChatById(groupId);
+            return chat && chat.isGroup ? chat : null;
+        } catch (error) {
+            // Unknown chat ids make the lookup throw inside the page
+            this._log('debug', 'Group lookup failed', { groupId, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Look up the group behind an invite code without joining it
+     * @param {string} inviteCode - Code from a chat.whatsapp.com link
+     * @returns {Promise<object|null>} - `{ id, name }`, or null when the code is invalid or revoked
+     */
+    async resolveGroupInvite(inviteCode) {
+        this._requireReady();
+        let info;
+        try {
+            info = await this.client.getInviteInfo(inviteCode);
+        } catch (error) {
+            this._log('debug', 'Invite lookup failed', { inviteCode, error: error.message });
+            return null;
+        }
+        if (!info || !info.id) {
+            return null;
+        }
+        return { id: info.id._serialized, name: info.subject || null };
+    }
+
+    /**
+     * Create a group
+     * @param {string} name - Group name
+     * @param {string[]} participantIds - Contact ids (`...@c.us`) to add
+     * @returns {Promise<object>} - `{ id, name, participants }` with a result per participant
+     */
+    async createGroup(name, participantIds) {
+        this._requireReady();
+        const result = await this.client.createGroup(name, participantIds);
+        if (typeof result === 'string') {
+            throw new Error(result);
+        }
+        return {
+            id: result.gid._serialized,
+            name: result.title,
+            participants: participantResults(result.participants)
+        };
+    }
+
+    /**
+     * Add participants to a group
+     * @returns {Promise<object[]|null>} - Result per participant, or null when the group is unknown
+     */
+    async addGroupParticipants(groupId, participantIds) {
+        const chat = await this._getGroupChat(groupId);
+        if (!chat) {
+            return null;
+        }
+        return participantResults(await chat.addParticipants(participantIds));
+    }
+
+    /**
+     * Remove participants from a group. Ids that aren't members are ignored.
+     * @returns {Promise<object|null>} - Updated group, or null when the group is unknown
+     */
+    async removeGroupParticipants(groupId, participantIds) {
+        const chat = await this._getGroupChat(groupId);
+        if (!chat) {
+            return null;
+        }
+        await chat.removeParticipants(participantIds);
+        return this.getGroup(groupId);
+    }
+
+    /**
+     * Send a single job through the WhatsApp client. Text longer than one
+     * WhatsApp message goes out as several messages; parts already sent are
+     * recorded on the job so a retry continues where it stopped.
+     * @returns {object} - Result of the last message sent
+     */
+    async sendJob(job) {
+        const options = {};
+        if (job.quotedMessageId) {
+            options.quotedMessageId = await this._resolveQuotedMessageId(job.chatId, job.quotedMessageId);
+        }
+        if (job.mentions) {
+            options.mentions = job.mentions;
+        }
+
+        if (job.media) {
+            const media = new MessageMedia(
+                job.media.mimetype,
+                this.mediaStore.readBase64(job.media.file),
+                job.media.filename
+            );
+            return this._sendMessage(job.chatId, media, {
+                ...options,
+                caption: job.message || undefined,
+                sendMediaAsDocument: job.media.asDocument
+            });
+        }
+
+        if (job.location) {
+            const { latitude, longitude, name, address, url } = job.location;
+            const location = new Location(latitude, longitude, {
+                name: name || undefined,
+                address: address || undefined,
+                url: url || undefined
+            });
+            return this._sendMessage(job.chatId, location, options);
+        }
+        if (job.contact) {
+            return this._sendMessage(job.chatId, buildVCard(job.contact), options);
+        }
+        if (job.poll) {
+            const poll = new Poll(job.poll.question, job.poll.options, { allowMultipleAnswers: job.poll.allowMultiple });
+            return this._sendMessage(job.chatId, poll, options);
+        }
+
+        const parts = splitMessage(job.message);
+        if (parts.length === 1) {
+            return this._sendMessage(job.chatId, job.message, options);
+        }
+
+        const partMessageIds = [...(job.partMessageIds || [])];
+        let result = null;
+        for (let i = partMessageIds.length; i < parts.length; i++) {
+            // Only the first part quotes the original message
+            const partOptions = i === 0 ? options : { ...options, quotedMessageId: undefined };
+            result = await this._sendMessage(job.chatId, parts[i], partOptions);
+            partMessageIds.push(result.id ? result.id.id : null);
+            this.jobStore.update(job.id, { partMessageIds });
+        }
+
+        return result || { id: { id: partMessageIds[partMessageIds.length - 1] }, timestamp: Math.floor(Date.now() / 1000) };
+    }
+
+    /**
+     * Turn the short message id the API hands out into the serialized id
+     * whatsapp-web.js needs for quoting. Serialized ids are used as given.
+     * @param {string} chatId - Chat the reply goes to
+     * @param {string} messageId - Short (`3EB0...`) or serialized (`false_628...@c.us_3EB0...`) id
+     * @returns {Promise<string>}
+     */
+    async _resolveQuotedMessageId(chatId, messageId) {
+        if (messageId.includes('_')) {
+            return messageId;
+        }
+
+        // The quoted message must be one WhatsApp Web still has for this chat
+        const chat = await this.client.getChatById(chatId);
+        const messages = await chat.fetchMessages({ limit: QUOTE_LOOKUP_LIMIT });
+        const quoted = messages.find(msg => msg.id && msg.id.id === messageId);
+        if (!quoted) {
+            throw new Error(`Message ${messageId} to reply to was not found in the last ${QUOTE_LOOKUP_LIMIT} messages of the chat`);
+        }
+        return quoted.id._serialized;
+    }
+
+    async _sendMessage(chatId, content, options) {
+        try {
+            return await this.client.sendMessage(chatId, content, options);
+        } catch (err) {
+            // whatsapp-web.js occasionally throws an evaluation error
+            // when trying to mark the chat as unread (bug in library).
+            // we ignore it and return a dummy result so the queue continues.
+            if (err.message && err.message.includes('markedUnread')) {
+                this._log('warn', 'Non‑critical sendMessage error (markedUnread), ignoring', {
+                    error: err.message
+                });
+                return { id: { id: null }, timestamp: Math.floor(Date.now() / 1000) };
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Expire this session's queued jobs whose time to live has run out
+     */
+    expireOverdueJobs() {
+        for (const job of this.jobStore.expireOverdue(this.id)) {
+            this.emit('job_expired', job);
+        }
+    }
+
+    /**
+     * Pick the next job: the oldest in the highest lane with one waiting,
+     * unless a lower lane has been passed over STARVATION_LIMIT times in a row
+     * @param {number} now - Current time in ms
+     * @returns {object|null}
+     */
+    _nextJob(now) {
+        const heads = this.jobStore.queueHeads(this.id, candidate => !this._jobReadyAt(candidate, now));
+        const waiting = PRIORITIES.filter(lane => heads[lane]);
+        if (waiting.length === 0) {
+            return null;
+        }
+
+        const starved = [...waiting].reverse().find(lane => (this.laneSkips[lane] || 0) >= STARVATION_LIMIT);
+        const lane = starved || waiting[0];
+        for (const other of waiting) {
+            if (PRIORITIES.indexOf(other) > PRIORITIES.indexOf(lane)) {
+                this.laneSkips[other] = (this.laneSkips[other] || 0) + 1;
+            }
+        }
+        this.laneSkips[lane] = 0;
+
+        if (starved) {
+            this._log('debug', `Sending from the ${lane} lane to keep it from starving`, { jobId: heads[lane].id });
+        }
+        return heads[lane];
+    }
+
+    // When a queued job may next be sent: after its recipient's cooldown and its retry backoff.
+    // 0 when it may go now.
+    _jobReadyAt(job, now) {
+        const retryAt = job.nextAttemptAt ? Date.parse(job.nextAttemptAt) : 0;
+        const readyAt = Math.max(this.pacer.recipientReadyAt(job.chatId, now), retryAt);
+        return readyAt > now ? readyAt : 0;
+    }
+
+    /**
+     * Record a failed attempt: back off and retry, or move the job to the
+     * dead-letter queue once it failed permanently or ran out of attempts
+     * @param {object} job - Job after the attempt was counted
+     * @param {Error} error - Error thrown while sending
+     */
+    _handleSendFailure(job, error) {
+        const kind = classifySendError(error);
+        const delayMs = nextRetryDelay(this.retryPolicy, job, error);
+
+        if (delayMs !== null) {
+            const retrying = this.jobStore.update(job.id, {
+                state: JOB_STATES.QUEUED,
+                lastError: error.message,
+                nextAttemptAt: new Date(Date.now() + delayMs).toISOString()
+            });
+            this._log('warn', `Send failed, retrying in ${delayMs}ms`, {
+                jobId: job.id,
+                attempts: job.attempts,
+                maxAttempts: this.retryPolicy.maxAttempts,
+                kind,
+                error: error.message
+            });
+            this.emit('job_retry', retrying, error, delayMs);
+        } else {
+            const failed = this.jobStore.update(job.id, {
+                state: JOB_STATES.FAILED,
+                lastError: error.message,
+                errorKind: kind,
+                nextAttemptAt: null,
+                deadLetteredAt: new Date().toISOString()
+            });
+            this._log('error', 'Send failed, job moved to the dead-letter queue', {
+                jobId: job.id,
+                attempts: job.attempts,
+                kind,
+                error: error.message
+            });
+            this.emit('job_settled', failed, error);
+        }
+
+        // A broken page fails every send until the client is restarted
+        if (kind === ERROR_KINDS.SESSION) {
+            this.recover('send_error').catch(recoverError => {
+                this._log('error', 'Error during recovery after send failure', { error: recoverError.message });
+            });
+        }
+    }
+
+    // Message queue processing
+    async processQueue() {
+        if (this.processingQueue || this.queueStopped) {
+            return;
+        }
+
+        this.processingQueue = true;
+        // A pending wake-up means the pause below was already logged
+        const alreadyPaused = Boolean(this.queueWakeTimer);
+        this._clearQueueWake();
+
+        try {
+            // A restart in progress (e.g. after a session error) ends the loop; the ready handler starts it again
+            while (this.client && this.ready && !this.queueStopped && !this.restartInProgress) {
+                this.expireOverdueJobs();
+
+                const { waitMs, reason } = this.pacer.nextSendDelay();
+                if (waitMs > MAX_INLINE_WAIT_MS) {
+                    if (this.jobStore.nextQueued(this.id)) {
+                        if (!alreadyPaused) {
+                            this._log('warn', `Send queue paused by ${reason} until ${new Date(Date.now() + waitMs).toISOString()}`);
+                        }
+                        this._scheduleQueueWake(waitMs);
+                    }
+                    break;
+                }
+                if (waitMs > 0) {
+                    await sleep(waitMs);
+                    continue;
+                }
+
+                const now = Date.now();
+                const job = this._nextJob(now);
+                if (!job) {
+                    // Jobs may still be waiting out a recipient cooldown or a retry backoff
+                    const readyTimes = this.jobStore.list(JOB_STATES.QUEUED, this.id)
+                        .map(queued => this._jobReadyAt(queued, now))
+                        .filter(Boolean);
+                    if (readyTimes.length > 0) {
+                        this._scheduleQueueWake(Math.min(...readyTimes) - now);
+                    }
+                    break;
+                }
+
+                const attempt = this.jobStore.update(job.id, {
+                    state: JOB_STATES.SENDING,
+                    attempts: job.attempts + 1,
+                    lastAttemptAt: new Date().toISOString()
+                });
+                // Failed attempts still reached WhatsApp, so they count against the limits too
+                this.pacer.recordSend(job.chatId);
+
+                this.sendingJob = attempt;
+                try {
+                    const result = await this.sendJob(attempt);
+                    const sent = this.jobStore.update(job.id, {
+                        state: JOB_STATES.SENT,
+                        messageId: result.id ? result.id.id : null,
+                        messageTimestamp: result.timestamp,
+                        sentAt: new Date().toISOString(),
+                        lastError: null,
+                        nextAttemptAt: null
+                    });
+                    this.emit('job_settled', sent, null, result);
+                } catch (error) {
+                    this._handleSendFailure(attempt, error);
+                } finally {
+                    this.sendingJob = null;
+                }
+
+                this.jobStore.maybeCompact();
+            }
+        } finally {
+            this.processingQueue = false;
+        }
+    }
+
+    /**
+     * Whether the queue has nothing left to send soon: no send running, no job
+     * waiting out a retry backoff, and nothing queued that isn't held back by
+     * pacing or a recipient cooldown
+     * @returns {boolean}
+     */
+    isQueueIdle() {
+        if (this.processingQueue) {
+            return false;
+        }
+        if (!this.client || !this.ready) {
+            return true;
+        }
+        // Retries usually come due within seconds, so they count as pending; the caller's deadline bounds the wait
+        if (this.jobStore.list(JOB_STATES.QUEUED, this.id).some(job => job.nextAttemptAt)) {
+            return false;
+        }
+        if (this.queueWakeTimer) {
+            return true;
+        }
+        const now = Date.now();
+        return !this.jobStore.nextQueued(this.id, job => !this._jobReadyAt(job, now));
+    }
+
+    /**
+     * Stop taking jobs from the queue and wait for the send in progress to
+     * finish. Jobs still queued stay in the job store for the next start.
+     * @param {number} timeoutMs - Longest to wait for the send in progress
+     * @returns {Promise<boolean>} - false if the send was still running at the timeout
+     */
+    async stopQueue(timeoutMs) {
+        this.queueStopped = true;
+        this._clearQueueWake();
+
+        const deadline = Date.now() + timeoutMs;
+        while (this.sendingJob && Date.now() < deadline) {
+            await sleep(100);
+        }
+        if (this.sendingJob) {
+            this._log('warn', 'Shutting down while a send is still running; it is replayed on the next start', { jobId: this.sendingJob.id });
+            return false;
+        }
+        return true;
+    }
+
+    _scheduleQueueWake(delayMs) {
+        this._clearQueueWake();
+        this.queueWakeTimer = setTimeout(() => {
+            this.queueWakeTimer = null;
+            this.processQueue();
+        }, Math.max(delayMs, 0));
+    }
+
+    _clearQueueWake() {
+        if (this.queueWakeTimer) {
+            clearTimeout(this.queueWakeTimer);
+            this.queueWakeTimer = null;
+        }
+    }
+
+    // Initialize WhatsApp client with retry mechanism
+    async initialize() {
+        if (this.ready) {
+            return true;
+        }
+
+        if (this.destroyed) {
+            return false;
+        }
+
+        if (this.initializationAttempts >= MAX_INIT_ATTEMPTS) {
+            this._log('error', 'Maximum initialization attempts reached. WhatsApp client will not be available.');
+            return false;
+        }
+
+        this.initializationAttempts++;
+        this._log('info', `Initializing WhatsApp client (attempt ${this.initializationAttempts}/${MAX_INIT_ATTEMPTS})...`);
+        this.emit('initializing', this.initializationAttempts);
+
+        try {
+            const client = this.createClient(this.id);
+            this.client = client;
+
+            // helper that starts or resets the ready timeout
+            let readyTimeout;
+            const startReadyWatchdog = () => {
+                if (readyTimeout) {
+                    clearTimeout(readyTimeout);
+                }
+                readyTimeout = setTimeout(() => {
+                    if (!this.ready) {
+                        this._log('warn', 'WhatsApp client has not emitted ready event within 60s. Make sure QR was scanned or OTP/2FA completed on the phone.');
+                    }
+                }, 60000);
+            };
+
+            // Set up event handlers
+            client.on('qr', (qr) => {
+                this._log('info', 'QR Code received, scan it from the terminal or GET /qr');
+                this._log('debug', 'Raw QR data', { qr });
+                this._setQr(qr);
+                // print to terminal for manual scanning as well
+                qrcode.generate(qr, { small: true });
+                // start ready watchdog after user sees QR
+                startReadyWatchdog();
+            });
+
+            // also start watchdog when authentication completes (session file reused)
+            client.on('authenticated', () => {
+                this._log('info', 'WhatsApp client authenticated successfully');
+                this._clearQr();
+                this.emit('authenticated');
+                startReadyWatchdog();
+            });
+
+            client.on('ready', () => {
+                if (readyTimeout) clearTimeout(readyTimeout);
+                this._log('info', 'WhatsApp client is ready!');
+                this.ready = true;
+                this.lastReadyAt = new Date();
+                this.initializationAttempts = 0; // Reset counter on success
+                this._clearQr();
+                this.emit('ready');
+
+                // Start session health monitoring
+                this.startHealthMonitoring();
+
+                // Process any queued messages
+                this.processQueue();
+            });
+
+            client.on('message_ack', (msg, ack) => this.emit('message_ack', msg, ack));
+            client.on('message', (msg) => this.emit('message', msg));
+
+            client.on('auth_failure', (msg) => {
+                this._log('error', 'Authentication failed (auth_failure event):', { message: msg });
+                this.ready = false;
+            });
+
+            client.on('session_update', () => {
+                this._log('info', 'Session updated, data saved to disk');
+            });
+
+            client.on('disconnected', (reason) => {
+                this._log('warn', 'WhatsApp client was disconnected:', { reason });
+                this.ready = false;
+
+                // Clear health check interval
+                this.stopHealthMonitoring();
+
+                // Retry connection after delay
+                setTimeout(() => {
+                    if (!this.ready && !this.restartInProgress && !this.destroyed) {
+                        this._log('info', 'Attempting to reconnect WhatsApp client...');
+                        this.emit('recovery', 'disconnected');
+                        this.initialize();
+                    }
+                }, 10000);
+            });
+
+            // Add error handler for session crashes
+            client.on('change_state', (state) => {
+                this._log('info', 'WhatsApp client state changed:', { state });
+
+                if (state === 'CONFLICT' || state === 'UNLAUNCHED') {
+                    this._log('warn', 'Client in problematic state, attempting recovery...');
+                    setTimeout(() => this.recover(state.toLowerCase()), 5000);
+                }
+            });
+
+            await client.initialize();
+
+            // attach puppeteer page event handlers for extra visibility and auto‑recovery
+            try {
+                const page = client.pupPage;
+                if (page) {
+                    page.on('error', err => {
+                        this._log('error', 'Puppeteer page error event', { error: err.message });
+                        this.recover('page_error');
+                    });
+                    page.on('pageerror', err => {
+                        this._log('error', 'Puppeteer pageerror event', { error: err.message });
+                        // error during script execution can indicate unstable context
+                        if (err.message && err.message.includes('Execution context was destroyed')) {
+                            this._log('warn', 'Page error signals context destroyed, recovering session');
+                            this.recover('context_destroyed');
+                        }
+                    });
+                    page.on('crash', () => {
+                        this._log('error', 'Puppeteer page crashed, attempting recovery');
+                        this.recover('page_crash');
+                    });
+                    page.on('close', () => {
+                        this._log('warn', 'Puppeteer page closed unexpectedly');
+                        this.ready = false;
+                    });
+                }
+            } catch (attachErr) {
+                // non‑fatal, just log
+                this._log('warn', 'Could not attach puppeteer page listeners:', { error: attachErr.message });
+            }
+
+            return true;
+        } catch (error) {
+            this._log('error', 'Error initializing WhatsApp client:', {
+                error: error.message,
+                stack: error.stack,
+                attempt: this.initializationAttempts
+            });
+
+            // Clean up failed client
+            await this._destroyClient();
+
+            // Retry after delay
+            if (this.initializationAttempts < MAX_INIT_ATTEMPTS && !this.destroyed) {
+                setTimeout(() => {
+                    this.initialize();
+                }, 5000 * this.initializationAttempts); // Exponential backoff
+            }
+
+            return false;
+        }
+    }
+
+    async _destroyClient() {
+        this.stopHealthMonitoring();
+        this._clearQr();
+
+        if (this.client) {
+            try {
+                await this.client.destroy();
+                this._log('info', 'Old client destroyed successfully');
+            } catch (error) {
+                this._log('warn', 'Error destroying old client:', { error: error.message });
+            }
+        }
+
+        this.client = null;
+        this.ready = false;
+    }
+
+    /**
+     * Tear down the client and start over with a fresh attempt counter
+     * @returns {Promise<boolean>} - Whether initialization succeeded
+     */
+    async restart() {
+        await this._destroyClient();
+        this.initializationAttempts = 0;
+        return this.initialize();
+    }
+
+    /**
+     * Unlink the device from the phone
+     */
+    async logout() {
+        this.stopHealthMonitoring();
+
+        if (this.client && this.ready) {
+            await this.client.logout();
+            this.ready = false;
+        }
+    }
+
+    /**
+     * Stop the session for good (used on delete and shutdown)
+     */
+    async destroy() {
+        this.destroyed = true;
+        this._clearQueueWake();
+        await this._destroyClient();
+    }
+
+    /**
+     * Client account details, or null when not ready
+     * @returns {object|null}
+     */
+    info() {
+        if (!this.client || !this.ready || !this.client.info) {
+            return null;
+        }
+
+        return {
+            user: this.client.info.wid.user,
+            phone: this.client.info.wid.user,
+            name: this.client.info.pushname
+        };
+    }
+
+    /**
+     * Session state for status endpoints
+     * @returns {object}
+     */
+    status() {
+        return {
+            id: this.id,
+            ready: this.ready,
+            initialization_attempts: this.initializationAttempts,
+            session_health: this.checkHealth(),
+            last_health_check: this.lastHealthCheck,
+            last_health: this.lastHealth,
+            last_ready_at: this.lastReadyAt,
+            processing_queue: this.processingQueue,
+            restart_in_progress: this.restartInProgress,
+            qr_available: Boolean(this.qr)
+        };
+    }
+}
+
+module.exports = {
+    WhatsAppSession,
+    AUTH_DATA_PATH
+};
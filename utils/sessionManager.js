@@ -0,0 +1,197 @@
+/**
+ * Registry of WhatsApp sessions running in this process
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./helpers');
+const { WhatsAppSession, AUTH_DATA_PATH } = require('./session');
+
+// LocalAuth only accepts alphanumerics, underscores and hyphens in a clientId
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Creates, tracks and removes sessions. Sessions added through the API are
+ * written to a registry file so they come back after a restart.
+ *
+ * Re-emits every session event with the session as the first argument.
+ */
+class SessionManager extends EventEmitter {
+    /**
+     * @param {object} options - Manager options
+     * @param {string} options.registryPath - JSON file listing API-created sessions
+     * @param {string} options.defaultSessionId - Session used when a request names none
+     * @param {string[]} options.staticSessionIds - Sessions configured via WA_SESSIONS
+     * @param {object} options.jobStore - Shared JobStore
+     * @param {object} options.mediaStore - Shared MediaStore
+     * @param {object} options.pacing - Pacer options for every session's queue
+     * @param {object} options.retryPolicy - Send retry policy for every session's queue
+     * @param {Function} options.createClient - Client factory for every session (see resolveClientDriver)
+     */
+    constructor(options) {
+        super();
+        this.registryPath = options.registryPath || path.join('data', 'sessions.json');
+        this.defaultSessionId = options.defaultSessionId;
+        this.staticSessionIds = options.staticSessionIds || [];
+        this.jobStore = options.jobStore;
+        this.mediaStore = options.mediaStore;
+        this.pacing = options.pacing;
+        this.retryPolicy = options.retryPolicy;
+        this.createClient = options.createClient;
+        this.sessions = new Map();
+    }
+
+    /**
+     * Build sessions from the default id, WA_SESSIONS and the registry file
+     */
+    load() {
+        const ids = [this.defaultSessionId, ...this.staticSessionIds, ...this._readRegistry()];
+        for (const id of ids) {
+            if (!SESSION_ID_PATTERN.test(id)) {
+                logger.error(`Ignoring invalid session id "${id}"`);
+                continue;
+            }
+            if (!this.sessions.has(id)) {
+                this._add(id);
+            }
+        }
+    }
+
+    _readRegistry() {
+        try {
+            const entries = JSON.parse(fs.readFileSync(this.registryPath, 'utf8'));
+            return entries.map(entry => entry.id);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Could not read session registry', { file: this.registryPath, error: error.message });
+            }
+            return [];
+        }
+    }
+
+    _writeRegistry() {
+        // Sessions from configuration are recreated on boot anyway
+        const entries = Array.from(this.sessions.keys())
+            .filter(id => id !== this.defaultSessionId && !this.staticSessionIds.includes(id))
+            .map(id => ({ id }));
+
+        fs.mkdirSync(path.dirname(this.registryPath), { recursive: true });
+        const tmpPath = `${this.registryPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(entries, null, 2));
+        fs.renameSync(tmpPath, this.registryPath);
+    }
+
+    _add(id) {
+        const session = new WhatsAppSession({
+            id,
+            jobStore: this.jobStore,
+            mediaStore: this.mediaStore,
+            pacing: this.pacing,
+            retryPolicy: this.retryPolicy,
+            createClient: this.createClient
+        });
+
+        for (const event of ['message_ack', 'message', 'job_settled', 'job_retry', 'job_expired', 'qr', 'qr_expired', 'authenticated', 'ready', 'initializing', 'recovery']) {
+            session.on(event, (...args) => this.emit(event, session, ...args));
+        }
+
+        this.sessions.set(id, session);
+        return session;
+    }
+
+    get(id) {
+        return this.sessions.get(id || this.defaultSessionId) || null;
+    }
+
+    get defaultSession() {
+        return this.sessions.get(this.defaultSessionId);
+    }
+
+    list() {
+        return Array.from(this.sessions.values());
+    }
+
+    /**
+     * Start every session's client
+     */
+    initializeAll() {
+        for (const session of this.sessions.values()) {
+            session.initialize().catch(error => {
+                logger.error('Failed to initialize WhatsApp client during startup:', { session: session.id, error: error.message });
+            });
+        }
+    }
+
+    /**
+     * Add a session at runtime and start its client
+     * @param {string} id - New session id
+     * @returns {object} - The session
+     */
+    create(id) {
+        if (!SESSION_ID_PATTERN.test(id || '')) {
+            throw new Error('Session id may only contain letters, numbers, "_" and "-" (max 64 characters)');
+        }
+        if (this.sessions.has(id)) {
+            throw new Error(`Session "${id}" already exists`);
+        }
+
+        const session = this._add(id);
+        this._writeRegistry();
+
+        session.initialize().catch(error => {
+            logger.error('Failed to initialize WhatsApp client:', { session: id, error: error.message });
+        });
+        return session;
+    }
+
+    /**
+     * Stop and forget a session
+     * @param {string} id - Session id
+     * @param {object} options - Removal options
+     * @param {boolean} options.logout - Unlink the device and delete its LocalAuth data
+     */
+    async remove(id, { logout = false } = {}) {
+        const session = this.sessions.get(id);
+        if (!session) {
+            return false;
+        }
+
+        if (logout) {
+            try {
+                await session.logout();
+            } catch (error) {
+                logger.warn('Error logging out session before removal', { session: id, error: error.message });
+            }
+        }
+
+        await session.destroy();
+        session.removeAllListeners();
+        this.sessions.delete(id);
+        this._writeRegistry();
+
+        if (logout) {
+            fs.rmSync(path.join(AUTH_DATA_PATH, `session-${id}`), { recursive: true, force: true });
+        }
+        return true;
+    }
+
+    /**
+     * Stop every session's queue (see WhatsAppSession#stopQueue)
+     * @param {number} timeoutMs - Longest to wait for sends in progress
+     * @returns {Promise<boolean>} - false if any send was still running at the timeout
+     */
+    async stopQueues(timeoutMs) {
+        const results = await Promise.all(this.list().map(session => session.stopQueue(timeoutMs)));
+        return results.every(Boolean);
+    }
+
+    async destroyAll() {
+        await Promise.all(this.list().map(session => session.destroy()));
+    }
+}
+
+module.exports = {
+    SessionManager,
+    SESSION_ID_PATTERN
+};
@@ -0,0 +1,308 @@
+/**
+ * Message templates: a small Handlebars-like renderer and a file-backed store
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Same rules as session ids, so names are safe in URLs and file names
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class TemplateSyntaxError extends Error {}
+
+/**
+ * Parse template text into a tree of text, variable, if and each nodes.
+ *
+ * Supported syntax:
+ * - `{{name}}`, `{{customer.name}}` and `{{name|fallback text}}`
+ * - `{{#if name}}...{{else}}...{{/if}}`
+ * - `{{#each items}}...{{/each}}`, with `{{this}}`, `{{field}}`, `{{@index}}` and `{{@number}}` inside
+ *
+ * @param {string} text - Template text
+ * @returns {object[]} - Parsed nodes
+ * @throws {TemplateSyntaxError} - On unbalanced or malformed tags
+ */
+function parseTemplate(text) {
+    const root = { children: [] };
+    const stack = [root];
+    const tagPattern = /\{\{\s*([^{}]*?)\s*\}\}/g;
+    let lastIndex = 0;
+    let match;
+
+    const current = () => {
+        const node = stack[stack.length - 1];
+        return node.inElse ? node.otherwise : node.children;
+    };
+
+    while ((match = tagPattern.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            current().push({ type: 'text', value: text.slice(lastIndex, match.index) });
+        }
+        lastIndex = tagPattern.lastIndex;
+
+        const tag = match[1];
+        const block = tag.match(/^#(if|each)\s+([\w.@-]+)$/);
+        if (block) {
+            const node = { type: block[1], name: block[2], children: [], otherwise: [], inElse: false };
+            current().push(node);
+            stack.push(node);
+        } else if (tag === 'else') {
+            const node = stack[stack.length - 1];
+            if (node.type !== 'if' || node.inElse) {
+                throw new TemplateSyntaxError('{{else}} must be inside {{#if}}');
+            }
+            node.inElse = true;
+        } else if (/^\/(if|each)$/.test(tag)) {
+            const node = stack.pop();
+            if (!node.type || `/${node.type}` !== tag) {
+                throw new TemplateSyntaxError(`Unexpected {{${tag}}}`);
+            }
+            delete node.inElse;
+        } else {
+            const variable = tag.match(/^([\w.@-]+)\s*(?:\|(.*))?$/);
+            if (!variable) {
+                throw new TemplateSyntaxError(`Invalid tag {{${tag}}}`);
+            }
+            current().push({
+                type: 'variable',
+                name: variable[1],
+                fallback: variable[2] !== undefined ? variable[2].trim() : undefined
+            });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new TemplateSyntaxError(`Unclosed {{#${stack[stack.length - 1].type} ${stack[stack.length - 1].name}}}`);
+    }
+    if (lastIndex < text.length) {
+        root.children.push({ type: 'text', value: text.slice(lastIndex) });
+    }
+    return root.children;
+}
+
+// Own properties only, so names like `constructor` count as missing instead of
+// rendering inherited functions
+function hasOwn(value, key) {
+    return value !== null && value !== undefined && Object.prototype.hasOwnProperty.call(value, key);
+}
+
+// Resolve a (dotted) name against the scope chain, innermost first
+function lookup(scopes, name) {
+    const [head, ...rest] = name.split('.');
+
+    let value;
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+        if (head === 'this' && hasOwn(scope, '$this')) {
+            value = scope.$this;
+            break;
+        }
+        if (typeof scope.$this === 'object' && hasOwn(scope.$this, head)) {
+            value = scope.$this[head];
+            break;
+        }
+        if (hasOwn(scope.$vars, head)) {
+            value = scope.$vars[head];
+            break;
+        }
+    }
+
+    for (const key of rest) {
+        value = hasOwn(value, key) ? value[key] : undefined;
+    }
+    return value;
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes, missing, prefix) {
+    let output = '';
+
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'variable') {
+            const value = lookup(scopes, node.name);
+            if (value === undefined || value === null || value === '') {
+                if (node.fallback !== undefined) {
+                    output += node.fallback;
+                } else if (value === undefined || value === null) {
+                    const name = prefix + node.name;
+                    if (!missing.includes(name)) {
+                        missing.push(name);
+                    }
+                }
+            } else {
+                output += Array.isArray(value) ? value.join(', ') : String(value);
+            }
+        } else if (node.type === 'if') {
+            const branch = isTruthy(lookup(scopes, node.name)) ? node.children : node.otherwise;
+            output += renderNodes(branch, scopes, missing, prefix);
+        } else if (node.type === 'each') {
+            const items = lookup(scopes, node.name);
+            if (items === undefined || items === null) {
+                missing.push(prefix + node.name);
+                continue;
+            }
+            if (!Array.isArray(items)) {
+                throw new TemplateSyntaxError(`"${node.name}" must be a list to use {{#each}}`);
+            }
+            items.forEach((item, index) => {
+                const scope = { $this: item, $vars: { '@index': index, '@number': index + 1 } };
+                output += renderNodes(node.children, [...scopes, scope], missing, `${prefix}${node.name}[].`);
+            });
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Render template text with variables
+ * @param {string} text - Template text (see parseTemplate for the syntax)
+ * @param {object} variables - Values keyed by placeholder name
+ * @returns {object} - `{ text, missing }`; missing lists required variables that had no value
+ * @throws {TemplateSyntaxError} - When the template is malformed
+ */
+function renderTemplate(text, variables = {}) {
+    const missing = [];
+    const rendered = renderNodes(parseTemplate(text), [{ $vars: variables }], missing, '');
+    return { text: rendered, missing };
+}
+
+/**
+ * Named templates persisted as a JSON file
+ */
+class TemplateStore {
+    /**
+     * @param {object} options - Store options
+     * @param {string} options.filePath - JSON file holding all templates
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join('data', 'templates.json');
+        this.templates = new Map();
+    }
+
+    load() {
+        try {
+            const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            entries.forEach(template => this.templates.set(template.name, template));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Could not read templates from ${this.filePath}: ${error.message}`);
+            }
+        }
+    }
+
+    _write() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.list(), null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    get(name) {
+        return this.templates.get(name) || null;
+    }
+
+    list() {
+        return Array.from(this.templates.values());
+    }
+
+    /**
+     * Create or replace a template
+     * @param {object} data - `{ name, body, description, defaults }`
+     * @returns {object} - The stored template
+     */
+    save(data) {
+        const existing = this.templates.get(data.name);
+        const now = new Date().toISOString();
+        const template = {
+            name: data.name,
+            description: data.description || null,
+            body: data.body,
+            defaults: data.defaults || {},
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        this.templates.set(template.name, template);
+        this._write();
+        return template;
+    }
+
+    remove(name) {
+        if (!this.templates.delete(name)) {
+            return false;
+        }
+        this._write();
+        return true;
+    }
+
+    /**
+     * Render a stored template; its `defaults` fill variables the caller left out
+     * @param {string} name - Template name
+     * @param {object} variables - Caller's variables
+     * @returns {object|null} - `{ text, missing }`, or null for an unknown template
+     */
+    render(name, variables = {}) {
+        const template = this.get(name);
+        if (!template) {
+            return null;
+        }
+        return renderTemplate(template.body, { ...template.defaults, ...variables });
+    }
+}
+
+/**
+ * Check a template definition from an API request
+ * @param {object} payload - `{ name, body, description, defaults }`
+ * @returns {object} - Validation result with isValid and errors
+ */
+function validateTemplatePayload(payload) {
+    const errors = [];
+
+    if (!payload.name) {
+        errors.push('Field "name" is required');
+    } else if (typeof payload.name !== 'string' || !TEMPLATE_NAME_PATTERN.test(payload.name)) {
+        errors.push('Field "name" may only contain letters, numbers, "_" and "-" (max 64 characters)');
+    }
+
+    if (!payload.body) {
+        errors.push('Field "body" is required');
+    } else if (typeof payload.body !== 'string') {
+        errors.push('Field "body" must be a string');
+    } else if (payload.body.length > 4096) {
+        errors.push('Field "body" is too long (max 4096 characters)');
+    } else {
+        try {
+            parseTemplate(payload.body);
+        } catch (error) {
+            errors.push(`Field "body" is not a valid template: ${error.message}`);
+        }
+    }
+
+    if (payload.description !== undefined && typeof payload.description !== 'string') {
+        errors.push('Field "description" must be a string');
+    }
+
+    if (payload.defaults !== undefined && (payload.defaults === null || typeof payload.defaults !== 'object' || Array.isArray(payload.defaults))) {
+        errors.push('Field "defaults" must be an object');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+module.exports = {
+    TemplateStore,
+    TemplateSyntaxError,
+    TEMPLATE_NAME_PATTERN,
+    parseTemplate,
+    renderTemplate,
+    validateTemplatePayload
+};
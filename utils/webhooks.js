@@ -0,0 +1,285 @@
+/**
+ * Outbound webhook delivery with a persistent outbox
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { Journal } = require('./journal');
+const { logger, backoffDelay } = require('./helpers');
+
+const DELIVERY_STATES = {
+    PENDING: 'pending',
+    FAILED: 'failed'
+};
+
+/**
+ * Sign a webhook body so receivers can verify it came from this gateway
+ * @param {string} secret - Shared HMAC secret
+ * @param {string} timestamp - Value sent in the X-Webhook-Timestamp header
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Signature in the form `sha256=<hex>`
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * POST a JSON body and resolve with the status code
+ * @param {string} url - Target URL
+ * @param {string} body - Serialized JSON
+ * @param {object} headers - Extra request headers
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<number>}
+ */
+function postJson(url, body, headers, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const transport = target.protocol === 'https:' ? https : http;
+
+        const req = transport.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'whatsapp-api-gateway',
+                ...headers
+            },
+            timeout: timeoutMs
+        }, (res) => {
+            // Drain the response so the socket can be reused
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+
+        req.on('timeout', () => req.destroy(new Error(`Webhook request timed out after ${timeoutMs}ms`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Queues webhook callbacks on disk and delivers them with exponential backoff.
+ * Deliveries are removed from the outbox once the receiver answers 2xx; those
+ * that exhaust their attempts stay in the outbox as failed until retried.
+ */
+class WebhookDispatcher {
+    /**
+     * @param {object} options - Dispatcher options
+     * @param {string} options.filePath - Outbox journal location
+     * @param {string} options.url - Default callback URL
+     * @param {string} options.secret - HMAC secret used to sign payloads
+     * @param {number} options.maxAttempts - Attempts before a delivery is marked failed
+     * @param {number} options.baseDelay - First retry delay in milliseconds
+     * @param {number} options.maxDelay - Upper bound for the retry delay
+     * @param {number} options.timeout - Per-request timeout in milliseconds
+     */
+    constructor(options = {}) {
+        this.outbox = new Journal(options.filePath || path.join('data', 'webhook-outbox.jsonl'));
+        this.url = options.url || null;
+        this.secret = options.secret || null;
+        this.maxAttempts = options.maxAttempts || 15;
+        this.baseDelay = options.baseDelay || 5000;
+        this.maxDelay = options.maxDelay || 60 * 60 * 1000;
+        this.timeout = options.timeout || 10000;
+        this.timer = null;
+        this.delivering = false;
+    }
+
+    /**
+     * Load the outbox and resume pending deliveries
+     */
+    load() {
+        this.outbox.load();
+        this.outbox.compact();
+
+        if (!this.secret && this.url) {
+            logger.warn('WEBHOOK_SECRET is not set, webhook payloads will be sent unsigned');
+        }
+
+        this._schedule();
+    }
+
+    /**
+     * Queue an event for delivery
+     * @param {string} event - Event name, e.g. `message.ack`
+     * @param {object} data - Event payload
+     * @param {string} url - Optional override of the default callback URL
+     * @returns {object|null} - The outbox entry, or null when no URL is configured
+     */
+    enqueue(event, data, url = this.url) {
+        if (!url) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const delivery = this.outbox.put({
+            id: crypto.randomUUID(),
+            url,
+            event,
+            data,
+            state: DELIVERY_STATES.PENDING,
+            attempts: 0,
+            lastError: null,
+            createdAt: now,
+            nextAttemptAt: now
+        });
+
+        this._schedule();
+        return delivery;
+    }
+
+    /**
+     * Put failed deliveries back into the pending state
+     * @returns {number} - Number of deliveries requeued
+     */
+    retryFailed() {
+        const now = new Date().toISOString();
+        let count = 0;
+
+        for (const delivery of this.outbox.values()) {
+            if (delivery.state === DELIVERY_STATES.FAILED) {
+                this.outbox.put({ ...delivery, state: DELIVERY_STATES.PENDING, attempts: 0, nextAttemptAt: now });
+                count++;
+            }
+        }
+
+        this._schedule();
+        return count;
+    }
+
+    /**
+     * Outbox summary for status endpoints
+     * @returns {object}
+     */
+    stats() {
+        const deliveries = this.outbox.values();
+        return {
+            enabled: Boolean(this.url),
+            signed: Boolean(this.secret),
+            pending: deliveries.filter(d => d.state === DELIVERY_STATES.PENDING).length,
+            failed: deliveries.filter(d => d.state === DELIVERY_STATES.FAILED).length
+        };
+    }
+
+    _retryDelay(attempts) {
+        return backoffDelay(attempts, this.baseDelay, this.maxDelay);
+    }
+
+    _schedule() {
+        if (this.delivering) {
+            return;
+        }
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const pending = this.outbox.values().filter(d => d.state === DELIVERY_STATES.PENDING);
+        if (pending.length === 0) {
+            return;
+        }
+
+        const next = Math.min(...pending.map(d => Date.parse(d.nextAttemptAt)));
+        this.timer = setTimeout(() => this._deliverDue(), Math.max(0, next - Date.now()));
+        // Pending callbacks must not keep the process alive on shutdown
+        this.timer.unref();
+    }
+
+    async _deliverDue() {
+        this.timer = null;
+        this.delivering = true;
+
+        try {
+            const now = Date.now();
+            const due = this.outbox.values().filter(d => {
+                return d.state === DELIVERY_STATES.PENDING && Date.parse(d.nextAttemptAt) <= now;
+            });
+
+            for (const delivery of due) {
+                await this._deliver(delivery);
+            }
+
+            if (this.outbox.needsCompaction()) {
+                this.outbox.compact();
+            }
+        } finally {
+            this.delivering = false;
+            this._schedule();
+        }
+    }
+
+    async _deliver(delivery) {
+        const attempts = delivery.attempts + 1;
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const body = JSON.stringify({
+            id: delivery.id,
+            event: delivery.event,
+            createdAt: delivery.createdAt,
+            data: delivery.data
+        });
+
+        const headers = {
+            'X-Webhook-Id': delivery.id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': timestamp
+        };
+        if (this.secret) {
+            headers['X-Webhook-Signature'] = signPayload(this.secret, timestamp, body);
+        }
+
+        try {
+            const statusCode = await postJson(delivery.url, body, headers, this.timeout);
+            if (statusCode < 200 || statusCode >= 300) {
+                throw new Error(`Receiver responded with HTTP ${statusCode}`);
+            }
+
+            this.outbox.remove(delivery.id);
+            logger.debug('Webhook delivered', { id: delivery.id, event: delivery.event, attempts });
+        } catch (error) {
+            const exhausted = attempts >= this.maxAttempts;
+            const delay = this._retryDelay(attempts);
+
+            this.outbox.put({
+                ...delivery,
+                attempts,
+                lastError: error.message,
+                state: exhausted ? DELIVERY_STATES.FAILED : DELIVERY_STATES.PENDING,
+                nextAttemptAt: new Date(Date.now() + delay).toISOString()
+            });
+
+            if (exhausted) {
+                logger.error('Webhook delivery failed permanently, kept in outbox', {
+                    id: delivery.id,
+                    event: delivery.event,
+                    attempts,
+                    error: error.message
+                });
+            } else {
+                logger.warn(`Webhook delivery failed, retrying in ${delay}ms`, {
+                    id: delivery.id,
+                    event: delivery.event,
+                    attempts,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    close() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.outbox.close();
+    }
+}
+
+module.exports = {
+    WebhookDispatcher,
+    signPayload,
+    DELIVERY_STATES
+};